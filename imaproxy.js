@@ -30,9 +30,22 @@
 var fs = require("fs"),
     tls = require("tls"),
     net = require("net"),
-    url = require("url"),
+    zlib = require("zlib"),
     events = require("events"),
-    cluster = require("cluster");
+    cluster = require("cluster"),
+    imap = require("./lib/imap.js"),
+    IMAPFramer = require("./lib/framer.js"),
+    Router = require("./lib/router.js"),
+    Pool = require("./lib/pool.js"),
+    proxyproto = require("./lib/proxyproto.js"),
+    ipc = require("./lib/ipc.js"),
+    shared = require("./lib/shared.js"),
+    metrics = require("./lib/metrics.js"),
+    admin = require("./lib/admin.js"),
+    Recorder = require("./lib/recorder.js"),
+    FolderTypes = require("./lib/foldertypes.js"),
+    Plugins = require("./lib/plugins.js"),
+    session = require("./lib/session.js");
 
 /**
  * IMAP proxy class
@@ -43,226 +56,1787 @@ function IMAProxy(config)
     var ID_COUNT    = 0;
     var WHITE_CCODE = '\x1b[0;37m';
     var CONN_LOG    = true;
+    var TAG_PREFIX  = '~imaproxy';
+    var TAG_COUNT   = 0;
+
+    // time (in ms) to wait for clients to close their connection after * BYE
+    var SHUTDOWN_WAIT = 10000;
+
+    // untagged responses passed to the client while processing a proxy command
+    var UNSOLICITED = { EXISTS: true, RECENT: true, EXPUNGE: true, VANISHED: true, BYE: true };
+
+    // commands counted individually in the metrics, others are reported as OTHER
+    var METRIC_COMMANDS = /^(UID )?(CAPABILITY|NOOP|LOGOUT|AUTHENTICATE|LOGIN|SELECT|EXAMINE|CREATE|DELETE|RENAME|SUBSCRIBE|UNSUBSCRIBE|LIST|LSUB|XLIST|STATUS|APPEND|CHECK|CLOSE|UNSELECT|EXPUNGE|SEARCH|FETCH|STORE|COPY|MOVE|SORT|THREAD|IDLE|NAMESPACE|ID|ENABLE|GETQUOTA|GETQUOTAROOT|GETACL|SETACL|MYRIGHTS|GETMETADATA|SETMETADATA|GETANNOTATION|SETANNOTATION)$/;
+
+    // capabilities announced by the proxy before the client is routed to a server
+    var FRONTDOOR_CAPS = 'CAPABILITY IMAP4rev1 LITERAL+ SASL-IR ID AUTH=PLAIN';
 
     var clientEmitter = new events.EventEmitter();
     var serverEmitter = new events.EventEmitter();
-    var imap_server = url.parse(config.imap_server);
+    var pool = new Pool(config.imap_server, config);
+    var router = Router.enabled(config) ? new Router(config) : null;
     var connections = 0;
+    var sessions = {};
+    var middleware = { client: [], server: [] };
+    var tlsContext = null;
+    var server = null;
+    var stopping = null;
     var plugins = [];
+    var traceUsers = {};
+    var capabilityRules = null;
     var self = this;
 
     // exports
     this.clientEmitter = clientEmitter;
     this.serverEmitter = serverEmitter;
     this.config = config;
+    this.shared = shared;
+    this.metrics = metrics;
 
     // public methods
     this.start = start;
+    this.stop = stop;
+    this.command = command;
+    this.use = use;
 
     /**
      * Initialize the proxy
      */
     function init()
     {
-        // fix/complete imap server config
-        if (!imap_server.hostname) {
-            imap_server.hostname = imap_server.path;
-        }
-        if (!imap_server.port) {
-            imap_server.port = imap_server.protocol === 'tls:' || imap_server.protocol === 'ssl:' ? 993 : 143;
-        }
-
         PID = cluster.isWorker ? cluster.worker.id + ':' : '';
         CONN_LOG  = config.connection_log || true;
 
-        // remove "DEFLATE" from capabilities (if present) so this proxy doesn't have to decompress stuff
+        // adjust the capabilities announced by the server to what this proxy supports
         serverEmitter.on('CAPABILITY', function(event, data){
-            var str = data.toString();
-            if (str.match(/COMPRESS=DEFLATE/)) {
-                event.result = str.replace("COMPRESS=DEFLATE ", "");
-            }
-            if (str.match(/ (SORT|ANNOTATEMORE)/)) {
-                event.state.capabilities = true;
+            var str = data.toString(),
+                caps = filterCapabilities(str, event.state);
+            if (caps !== str) {
+                event.result = caps;
             }
         });
         // ... also intercept for OK [CAPABILITY ...] responses
         serverEmitter.on('OK', function(event, data){
-            if (!event.state.capabilities) {
-                var str = data.toString();
-                if (str.match(/\[CAPABILITY\s/) && str.match(/\s(SORT|ANNOTATEMORE)/)) {
-                    if (str.match(/COMPRESS=DEFLATE/)) {
-                        event.result = str.replace("COMPRESS=DEFLATE ", "");
+            var str = data.toString(), caps;
+            if (str.match(/\[CAPABILITY\s/)) {
+                caps = filterCapabilities(str, event.state);
+                if (caps !== str) {
+                    event.result = caps;
+                }
+            }
+        });
+        serverEmitter.on('PREAUTH', function(event, data){
+            var str = data.toString(),
+                caps = filterCapabilities(str, event.state);
+            if (caps !== str) {
+                event.result = caps;
+            }
+        });
+
+        // capabilities rewritten by the config
+        capabilityRules = {
+            pre: compileCapabilityRules(config.capabilities_pre_login),
+            post: compileCapabilityRules(config.capabilities_post_login)
+        };
+
+        // don't let clients enable extensions hidden from them
+        if (capabilityRules.post.remove.length || capabilityRules.post.replace.length) {
+            use('client', 'ENABLE', clientEnable);
+        }
+
+        metrics.define('imaproxy_connections_active', 'gauge', "Open client connections");
+        metrics.define('imaproxy_connections_total', 'counter', "Accepted client connections");
+        metrics.define('imaproxy_backend_failures_total', 'counter', "Failed connections to IMAP servers");
+        metrics.define('imaproxy_commands_total', 'counter', "IMAP commands by tagged response status");
+        metrics.define('imaproxy_command_duration_seconds', 'histogram', "Time from the client command to the server's tagged response");
+        metrics.define('imaproxy_received_bytes_total', 'counter', "Bytes received from clients and servers");
+        metrics.define('imaproxy_logins_total', 'counter', "Successful and failed logins");
+        metrics.define('imaproxy_refused_commands_total', 'counter', "Client commands refused for exceeding the line length or size limits");
+
+        // requests from the admin socket
+        ipc.handle('admin.sessions', adminSessions);
+        ipc.handle('admin.kill', adminKill);
+        ipc.handle('admin.trace', adminTrace);
+
+        // enforce the number of concurrent sessions per user
+        if (config.max_sessions_per_user) {
+            use('client', 'LOGIN', checkUserSessions);
+            use('client', 'AUTHENTICATE', checkUserSessions);
+            use('server', 'OK', countUserSession);
+        }
+
+        // Kolab folder types for the plugins
+        self.folderTypes = new FolderTypes(self);
+
+        // load modules that register event listeners
+        plugins = Plugins.load(self, config.plugins);
+    }
+
+    /**
+     * Rewrite the capability list of an untagged CAPABILITY response or [CAPABILITY] response code
+     *
+     * Replaces the server's STARTTLS, LOGINDISABLED and COMPRESS=DEFLATE capabilities
+     * with the ones this proxy handles itself on the client connection
+     * and applies the capabilities_pre_login/capabilities_post_login rules.
+     */
+    function filterCapabilities(str, state)
+    {
+        return str.replace(/(CAPABILITY)((?: +[^ \]\r\n]+)+)/, function(match, prefix, list) {
+            var caps = list.trim().split(/ +/).filter(function(cap) {
+                return !cap.match(/^(COMPRESS=DEFLATE|STARTTLS|LOGINDISABLED)$/i);
+            });
+
+            if (config.compress && !state.compress && state.status !== session.NOT_AUTHENTICATED) {
+                caps.push('COMPRESS=DEFLATE');
+            }
+
+            // offer STARTTLS on unencrypted client connections before login
+            if (config.starttls && tlsContext && !state.secure && state.status === session.NOT_AUTHENTICATED) {
+                caps.push('STARTTLS');
+                if (config.login_disabled) {
+                    caps.push('LOGINDISABLED');
+                }
+            }
+
+            caps = rewriteCapabilities(caps, state.status === session.NOT_AUTHENTICATED ? capabilityRules.pre : capabilityRules.post);
+
+            return prefix + ' ' + caps.join(' ');
+        });
+    }
+
+    /**
+     * Prepare the capability rules from the config (capabilities_pre_login or capabilities_post_login)
+     */
+    function compileCapabilityRules(rules)
+    {
+        var replace = (rules && rules.replace) || {};
+
+        return {
+            remove: [].concat((rules && rules.remove) || []).map(capabilityRegex),
+            replace: Object.keys(replace).map(function(cap) {
+                return { regex: capabilityRegex(cap), caps: String(replace[cap] || '').split(/ +/).filter(Boolean) };
+            }),
+            add: [].concat((rules && rules.add) || [])
+        };
+    }
+
+    /**
+     * Convert a capability name with * wildcards (e.g. "AUTH=*") into a regular expression
+     */
+    function capabilityRegex(cap)
+    {
+        if (cap instanceof RegExp) {
+            return cap;
+        }
+
+        return new RegExp('^' + String(cap).replace(/[\\^$.+?()[\]{}|]/g, '\\$&').replace(/\*/g, '.*') + '$', 'i');
+    }
+
+    /**
+     * Remove, replace and add capabilities according to the given rules
+     *
+     * @param array  List of capabilities
+     * @param object Compiled rules
+     * @return array Rewritten list
+     */
+    function rewriteCapabilities(caps, rules)
+    {
+        var result = [], seen = {};
+
+        function push(cap) {
+            if (!seen[cap.toUpperCase()]) {
+                seen[cap.toUpperCase()] = true;
+                result.push(cap);
+            }
+        }
+
+        caps.forEach(function(cap) {
+            var i;
+
+            for (i=0; i < rules.remove.length; i++) {
+                if (rules.remove[i].test(cap)) {
+                    return;
+                }
+            }
+
+            for (i=0; i < rules.replace.length; i++) {
+                if (rules.replace[i].regex.test(cap)) {
+                    rules.replace[i].caps.forEach(push);
+                    return;
+                }
+            }
+
+            push(cap);
+        });
+
+        rules.add.forEach(push);
+
+        return result;
+    }
+
+    /**
+     * Middleware handler removing hidden extensions from ENABLE commands
+     */
+    function clientEnable(event, data)
+    {
+        var parts = data.toString().replace(/\r?\n$/, '').split(/ +/),
+            extensions = parts.slice(2),
+            allowed = extensions.filter(function(ext) {
+                return rewriteCapabilities([ ext ], capabilityRules.post).some(function(cap) {
+                    return cap.toUpperCase() === ext.toUpperCase();
+                });
+            });
+
+        if (allowed.length === extensions.length) {
+            return;
+        }
+
+        // extensions the server doesn't support are simply not listed in the ENABLED response
+        if (!allowed.length) {
+            event.client.write("* ENABLED\r\n" + event.seq + " OK ENABLE completed\r\n");
+            return false;
+        }
+
+        return parts.slice(0, 2).concat(allowed).join(' ') + "\r\n";
+    }
+
+    /**
+     * Check the connection limits for a new client connection
+     *
+     * @param object   Connection state
+     * @param function Callback function(err) with the rejection message as err
+     */
+    function acceptConnection(state, callback)
+    {
+        var checks = [];
+
+        if (config.max_connections && connections > config.max_connections) {
+            callback("Maximum number of connections exceeded");
+            return;
+        }
+
+        if (config.max_connections_total) {
+            checks.push({ key: 'conn:total', limit: config.max_connections_total, message: "Maximum number of connections exceeded" });
+        }
+        if (config.max_connections_per_ip) {
+            checks.push({ key: 'conn:ip:' + state.remoteAddress, limit: config.max_connections_per_ip, message: "Too many connections from your address" });
+        }
+
+        (function next() {
+            var check = checks.shift();
+
+            if (!check) {
+                callback(null);
+                return;
+            }
+
+            shared.adjust(check.key, 1, function(err, total) {
+                if (err) {
+                    console.error(WHITE_CCODE + "* Failed to count connections", err);
+                }
+                else {
+                    state.gauges.push(check.key);
+                }
+
+                // the client is gone already
+                if (!state.isConnected) {
+                    releaseConnection(state);
+                }
+                else if (!err && total > check.limit) {
+                    callback(check.message);
+                }
+                else {
+                    next();
+                }
+            });
+        })();
+    }
+
+    /**
+     * Release the connection/session counters of a closed connection
+     */
+    function releaseConnection(state)
+    {
+        state.gauges.forEach(function(key) {
+            shared.adjust(key, -1);
+        });
+        state.gauges = [];
+    }
+
+    /**
+     * Middleware handler refusing logins of users with too many sessions
+     */
+    function checkUserSessions(event, data)
+    {
+        var user = session.loginUser(event, data);
+
+        if (!user) {
+            return;
+        }
+
+        return new Promise(function(resolve) {
+            shared.adjust('sess:user:' + user.toLowerCase(), 0, function(err, total) {
+                if (!err && total >= config.max_sessions_per_user) {
+                    event.client.write(event.seq + " NO [LIMIT] Too many sessions for this user\r\n");
+                    resolve(false);
+                }
+                else {
+                    resolve();
+                }
+            });
+        });
+    }
+
+    /**
+     * Middleware handler counting the sessions of a user on successful login
+     */
+    function countUserSession(event, data)
+    {
+        var key, request = event.request;
+
+        if (!request || (request.command !== 'LOGIN' && request.command !== 'AUTHENTICATE') || !event.state.user) {
+            return;
+        }
+
+        key = 'sess:user:' + String(event.state.user).toLowerCase();
+
+        return new Promise(function(resolve) {
+            shared.adjust(key, 1, function(err, total) {
+                if (err) {
+                    resolve();
+                    return;
+                }
+
+                event.state.gauges.push(key);
+
+                if (!event.state.isConnected) {
+                    releaseConnection(event.state);
+                    resolve(false);
+                }
+                // the server accepted the login already, thus terminate the connection
+                else if (total > config.max_sessions_per_user) {
+                    event.client.write(event.seq + " NO [LIMIT] Too many sessions for this user\r\n" +
+                        "* BYE Too many sessions for this user\r\n");
+                    event.client.end();
+                    resolve(false);
+                }
+                else {
+                    resolve();
+                }
+            });
+        });
+    }
+
+    /**
+     * Update the command metrics with a completed request
+     */
+    function countCommand(request)
+    {
+        var command = METRIC_COMMANDS.test(request.command) ? request.command : 'OTHER';
+
+        metrics.inc('imaproxy_commands_total', { command: command, status: request.status });
+        metrics.observe('imaproxy_command_duration_seconds', { command: command }, (Date.now() - request.time) / 1000);
+
+        if (command === 'LOGIN' || command === 'AUTHENTICATE') {
+            metrics.inc('imaproxy_logins_total', { result: request.status === 'OK' ? 'success' : 'failure' });
+        }
+    }
+
+    /**
+     * Find the sessions matching an admin request by session ID or user name
+     */
+    function findSessions(request)
+    {
+        var user = request.user ? String(request.user).toLowerCase() : null;
+
+        return Object.keys(sessions).map(function(id) {
+            return sessions[id];
+        }).filter(function(item) {
+            if (request.session) {
+                return String(request.session) === PID + item.state.ID;
+            }
+            return user && item.state.user && String(item.state.user).toLowerCase() === user;
+        });
+    }
+
+    function sessionInfo(state)
+    {
+        return {
+            id: PID + state.ID,
+            worker: cluster.isWorker ? cluster.worker.id : null,
+            client: state.remoteAddress + ':' + state.remotePort,
+            server: state.server ? state.server.hostname + ':' + state.server.port : null,
+            user: state.user,
+            status: state.status,
+            mailbox: state.mailbox,
+            started: new Date(state.started).toISOString(),
+            received: state.received,
+            trace: state.trace
+        };
+    }
+
+    /**
+     * Admin request: list the open sessions
+     */
+    function adminSessions(request, callback)
+    {
+        callback(null, Object.keys(sessions).map(function(id) {
+            return sessionInfo(sessions[id].state);
+        }));
+    }
+
+    /**
+     * Admin request: disconnect sessions with * BYE
+     */
+    function adminKill(request, callback)
+    {
+        callback(null, findSessions(request).map(function(item) {
+            CONN_LOG && console.log(WHITE_CCODE + "[" + PID + item.state.ID + "] * Session terminated by the administrator");
+            item.shutdown("Session terminated by the administrator");
+            return sessionInfo(item.state);
+        }));
+    }
+
+    /**
+     * Admin request: switch payload logging on or off for a session or user
+     */
+    function adminTrace(request, callback)
+    {
+        var enable = request.enable !== false;
+
+        // also applies to future logins of this user
+        if (request.user) {
+            if (enable) {
+                traceUsers[String(request.user).toLowerCase()] = true;
+            }
+            else {
+                delete traceUsers[String(request.user).toLowerCase()];
+            }
+        }
+
+        callback(null, findSessions(request).map(function(item) {
+            item.state.trace = enable;
+            return sessionInfo(item.state);
+        }));
+    }
+
+    /**
+     * Create the recorder for a new session
+     *
+     * Sessions are written to the file right away unless recording is
+     * restricted to certain users, which is decided on login.
+     */
+    function startRecording(state)
+    {
+        var recorder = new Recorder({
+            id: PID + state.ID,
+            client: state.remoteAddress + ':' + state.remotePort,
+            local: state.localAddress + ':' + state.localPort
+        });
+
+        if (!config.record_users) {
+            recorder.save(recordingPath(state));
+        }
+
+        return recorder;
+    }
+
+    function recordingPath(state)
+    {
+        var time = new Date(state.started).toISOString().replace(/[^0-9]/g, '').substr(0, 14);
+        return config.record_dir + '/' + time + '-' + (PID + state.ID).replace(':', '-') + '.rec';
+    }
+
+    function matchUser(user, list)
+    {
+        user = String(user || '').toLowerCase();
+        return [].concat(list).some(function(item) {
+            return String(item).toLowerCase() === user;
+        });
+    }
+
+    /**
+     * Register a middleware handler for client commands or server responses
+     *
+     * Handlers are called in the order of registration after the event listeners
+     * of the clientEmitter/serverEmitter. A handler can return a value or a Promise
+     * resolving with one of:
+     *
+     *   undefined|true : pass the data on
+     *   string|Buffer  : replace the data
+     *   false          : drop the data
+     *
+     * Forwarding in that direction is paused until a returned Promise is resolved.
+     *
+     * @param string   Direction: 'client' or 'server'
+     * @param string   IMAP command/response name (e.g. 'LIST') or '*' for all
+     * @param function Handler function(event, data)
+     */
+    function use(direction, command, handler)
+    {
+        if (!middleware[direction]) {
+            throw new Error("Invalid middleware direction " + direction);
+        }
+
+        middleware[direction].push({ command: command, handler: handler });
+    }
+
+    /**
+     * Run the middleware handlers registered for the given event
+     *
+     * @param string   Direction: 'client' or 'server'
+     * @param object   Event object
+     * @param Buffer   Message data
+     * @param function Callback invoked when all handlers are done
+     */
+    function runMiddleware(direction, event, data, callback)
+    {
+        var handlers = middleware[direction], i = 0;
+
+        function apply(value) {
+            if (value === false) {
+                event.write = false;
+                event.result = null;
+            }
+            else if (typeof value === 'string' || Buffer.isBuffer(value)) {
+                event.result = value;
+            }
+        }
+
+        function failed(e) {
+            console.error(WHITE_CCODE + "* Middleware handler for " + event.command + " failed!", e);
+        }
+
+        function step() {
+            var item, ret;
+
+            // stop processing once the data was dropped
+            while (i < handlers.length && (event.result || event.write)) {
+                item = handlers[i++];
+                if (item.command !== '*' && item.command !== event.command) {
+                    continue;
+                }
+
+                try {
+                    ret = item.handler(event, event.result || data);
+                }
+                catch (e) {
+                    failed(e);
+                    continue;
+                }
+
+                // wait for the promise to be resolved
+                if (ret && typeof ret.then === 'function') {
+                    ret.then(function(value) {
+                        apply(value);
+                        step();
+                    }, function(e) {
+                        failed(e);
+                        step();
+                    });
+                    return;
+                }
+
+                apply(ret);
+            }
+
+            callback();
+        }
+
+        step();
+    }
+
+    /**
+     * Get a config option or the given default value if not set
+     */
+    function setting(name, def)
+    {
+        return config[name] === undefined ? def : config[name];
+    }
+
+    /**
+     * Create a queue processing messages of one direction in order
+     *
+     * The processor function is invoked with (item, done) and the next
+     * item is not processed before done() was called.
+     */
+    function createPipeline(processor)
+    {
+        var queue = [], busy = false, running = false;
+
+        function next() {
+            if (running) {
+                return;
+            }
+
+            running = true;
+            while (!busy && queue.length) {
+                busy = true;
+                processor(queue.shift(), done);
+            }
+            running = false;
+        }
+
+        function done() {
+            busy = false;
+            next();
+        }
+
+        return {
+            push: function(item) {
+                queue.push(item);
+                next();
+            }
+        };
+    }
+
+    /**
+     * Send a command to the IMAP server on behalf of the proxy
+     *
+     * The command gets a private tag and is queued until all pending client commands
+     * are completed. Client commands are held back while it is processed and none of
+     * its responses are forwarded to the client.
+     *
+     * @param object   Connection state (event.state)
+     * @param string   IMAP command without tag, e.g. 'GETANNOTATION "*" "/vendor/kolab/folder-type" "value.shared"'
+     * @param function Callback function(err, response) with response.status (OK|NO|BAD),
+     *                 response.text and response.lines (untagged responses)
+     * @return object  Promise if no callback is given
+     */
+    function command(state, cmd, callback)
+    {
+        if (!callback) {
+            return new Promise(function(resolve, reject) {
+                command(state, cmd, function(err, response) {
+                    if (err) {
+                        reject(err);
+                    }
+                    else {
+                        resolve(response);
+                    }
+                });
+            });
+        }
+
+        if (!sessions[state.ID]) {
+            process.nextTick(function() {
+                callback(new Error("Connection closed"));
+            });
+            return;
+        }
+
+        sessions[state.ID].command(cmd, callback);
+    }
+
+    /**
+     * Handler for new connections from mail clients
+     *
+     * @param object Client socket
+     * @param object Original connection info from the PROXY protocol header (optional)
+     */
+    function clientListener(connectionToClient, remote)
+    {
+        connections++;
+        metrics.inc('imaproxy_connections_total');
+        metrics.inc('imaproxy_connections_active');
+        remote = remote || {};
+
+        // This callback is run when the server gets a connection from a client.
+        var connectionToServer, state = session.init({
+                ID: ++ID_COUNT,
+                isConnected: true,
+                secure: !!connectionToClient.encrypted,
+                remoteAddress: proxyproto.plainAddress(remote.address || connectionToClient.remoteAddress),
+                remotePort: remote.port || connectionToClient.remotePort,
+                localAddress: proxyproto.plainAddress(remote.localAddress || connectionToClient.localAddress),
+                localPort: remote.localPort || connectionToClient.localPort,
+                started: Date.now(),
+                received: { client: 0, server: 0 },
+                trace: false,
+                gauges: []
+            }),
+            prefix = "[" + PID + state.ID + "] ",
+            clientFramer = new IMAPFramer(), serverFramer = new IMAPFramer(),
+            clientInflate, clientDeflate, serverInflate, serverDeflate, compressTag,
+            continuationTag = null, serverQueue = [], literalTag = null,
+            proxyCommands = [], activeCommand = null, heldCommands = [], login = null,
+            backend = null, tried = [], greeted = false,
+            recorder = config.record_dir ? startRecording(state) : null;
+        CONN_LOG && console.log(WHITE_CCODE + prefix + "* Connection established from %s:%d; open connections: %d",
+            state.remoteAddress, state.remotePort, connections);
+
+        // print TLS connection details
+        if (CONN_LOG && connectionToClient.getCipher) {
+            if (connectionToClient.getCipher()) {
+                logCipher();
+            }
+            // the TLS handshake of a socket accepted with PROXY protocol is still to come
+            else {
+                connectionToClient.once("secure", logCipher);
+            }
+        }
+
+        function logCipher() {
+            console.log(prefix + "* Using " + connectionToClient.getCipher().name + "; " + connectionToClient.getCipher().version);
+        }
+
+        function extend_event(event) {
+            event.server = serverDeflate || connectionToServer;
+            event.client = clientDeflate || connectionToClient;
+            event.state = state;
+            return event;
+        }
+
+        function writeClient(data) {
+            (clientDeflate || connectionToClient).write(data);
+        }
+
+        function writeServer(data) {
+            (serverDeflate || connectionToServer).write(data);
+        }
+
+        /**
+         * Record the data written to the given stream while it is the (uncompressed)
+         * output to the client or server, including the writes of event handlers
+         */
+        function recordWrites(stream, direction) {
+            var write = stream.write;
+
+            if (!recorder) {
+                return;
+            }
+
+            stream.write = function(data) {
+                var output = direction === 'proxy>client' ? clientDeflate || connectionToClient : serverDeflate || connectionToServer;
+
+                if (recorder && stream === output) {
+                    recorder.write(direction, data);
+                }
+                return write.apply(stream, arguments);
+            };
+        }
+
+        function endClient() {
+            (clientDeflate || connectionToClient).end();
+        }
+
+        function endServer() {
+            if (connectionToServer) {
+                (serverDeflate || connectionToServer).end();
+            }
+        }
+
+        /**
+         * Queue a client command for sending it to the server.
+         *
+         * Commands with synchronizing literals are sent in parts,
+         * waiting for the server's continuation request in between.
+         */
+        function sendCommand(seq, data) {
+            var i, parts = IMAPFramer.segments(data);
+            for (i = 0; i < parts.length; i++) {
+                serverQueue.push({ seq: seq, data: parts[i], literal: i < parts.length - 1 });
+            }
+            flushServerQueue();
+        }
+
+        function flushServerQueue() {
+            var item;
+            while (!literalTag && serverQueue.length) {
+                item = serverQueue.shift();
+                writeServer(item.data);
+                if (item.literal) {
+                    literalTag = item.seq;
+                }
+            }
+        }
+
+        /**
+         * Pass a client command to the server unless proxy commands are in progress
+         * or the server didn't greet yet
+         */
+        function submitCommand(cmd, data) {
+            if (activeCommand || proxyCommands.length || !greeted) {
+                heldCommands.push({ cmd: cmd, data: data });
+            }
+            else {
+                forwardCommand(cmd, data);
+            }
+        }
+
+        function forwardCommand(cmd, data) {
+            // keep track of the session state
+            session.command(state, cmd, data);
+
+            // subsequent client data belongs to this command
+            if (cmd.command === 'AUTHENTICATE' || cmd.command === 'IDLE') {
+                continuationTag = cmd.seq;
+            }
+            if (cmd.command === 'AUTHENTICATE') {
+                state.authenticating = cmd.seq;
+            }
+            sendCommand(cmd.seq, data);
+        }
+
+        /**
+         * Add a command issued by the proxy to the queue
+         */
+        function queueCommand(str, callback) {
+            proxyCommands.push({ tag: TAG_PREFIX + (++TAG_COUNT), command: str, callback: callback, lines: [] });
+            nextCommand();
+        }
+
+        /**
+         * Send the next queued proxy command once all client commands are completed
+         * or release the client commands held back in the meantime
+         */
+        function nextCommand() {
+            var item;
+
+            if (activeCommand || !state.isConnected || !connectionToServer || !greeted || login) {
+                return;
+            }
+
+            if (proxyCommands.length) {
+                if (!Object.keys(state.pending).length) {
+                    activeCommand = proxyCommands.shift();
+                    sendCommand(activeCommand.tag, Buffer.from(activeCommand.tag + " " + activeCommand.command + "\r\n"));
+                }
+                return;
+            }
+
+            while (heldCommands.length && !activeCommand && !proxyCommands.length) {
+                item = heldCommands.shift();
+                forwardCommand(item.cmd, item.data);
+            }
+        }
+
+        /**
+         * Build the ID command announcing the client's address to the server
+         */
+        function clientIdCommand() {
+            return 'ID ("x-originating-ip" "' + state.remoteAddress + '" "x-originating-port" "' + state.remotePort + '"' +
+                ' "x-connected-ip" "' + state.localAddress + '" "x-connected-port" "' + state.localPort + '")';
+        }
+
+        /**
+         * Collect the server responses to the active proxy command
+         *
+         * @return boolean True if the response was consumed
+         */
+        function proxyResponse(cmd, data) {
+            var item = activeCommand, line;
+
+            if (cmd.seq === item.tag) {
+                line = data.toString().replace(/\r?\n$/, '');
+                activeCommand = null;
+                item.callback(null, {
+                    tag: item.tag,
+                    status: cmd.command,
+                    text: line.substr(item.tag.length + cmd.command.length + 2),
+                    lines: item.lines
+                });
+                nextCommand();
+                return true;
+            }
+
+            if (cmd.seq === '*' && !UNSOLICITED[cmd.command]) {
+                item.lines.push(data.toString().replace(/\r?\n$/, ''));
+                return true;
+            }
+
+            return false;
+        }
+
+        /**
+         * Mark the connection as closed and abort pending proxy commands
+         */
+        function closed() {
+            var items = activeCommand ? [ activeCommand ].concat(proxyCommands) : proxyCommands;
+
+            state.isConnected = false;
+            connections--;
+            metrics.inc('imaproxy_connections_active', null, -1);
+            delete sessions[state.ID];
+            releaseConnection(state);
+            if (recorder) {
+                recorder.close();
+            }
+
+            if (stopping && !connections) {
+                stopped();
+            }
+
+            activeCommand = null;
+            proxyCommands = [];
+            heldCommands = [];
+            items.forEach(function(item) {
+                item.callback(new Error("Connection closed"));
+            });
+        }
+
+        /**
+         * Say goodbye to the client after the server's pending responses
+         */
+        function shutdown(text) {
+            serverPipeline.push({ fn: function() {
+                writeClient("* BYE " + text + "\r\n");
+                endClient();
+            }});
+        }
+
+        function clientInput(data) {
+            state.received.client += data.length;
+            metrics.inc('imaproxy_received_bytes_total', { from: 'client' }, data.length);
+            if (clientInflate) {
+                clientInflate.write(data);
+            }
+            else {
+                clientData(data);
+            }
+        }
+
+        function clientData(data) {
+            if (recorder) {
+                recorder.write('client>proxy', data);
+            }
+
+            // much lower limits before the login
+            if (state.status === session.NOT_AUTHENTICATED) {
+                clientFramer.limit(setting('max_line_length_pre_login', 8192), setting('max_command_size_pre_login', 8192));
+            }
+            else {
+                clientFramer.limit(setting('max_line_length', 65536), setting('max_command_size', 52428800));
+            }
+
+            clientFramer.push(data);
+        }
+
+        // confirm synchronizing literals right away, the server gets the full command later
+        clientFramer.on('literal', function() {
+            if (!continuationTag) {
+                writeClient("+ Ready for literal data\r\n");
+            }
+        });
+
+        // commands exceeding the limits are refused without buffering them
+        clientFramer.on('limit', function(type, data) {
+            var cmd = parseIMAPCommand(data);
+
+            metrics.inc('imaproxy_refused_commands_total', { reason: type === 'line' ? 'line_length' : 'command_size' });
+
+            if (type === 'message' && cmd.seq && !continuationTag) {
+                clientPipeline.push({ response: cmd.seq + " NO [TOOBIG] Command exceeds the size limit\r\n" });
+                return;
+            }
+
+            CONN_LOG && console.log(WHITE_CCODE + prefix + "* Client exceeded the " + (type === 'line' ? "line length" : "command size") + " limit");
+            writeClient("* BYE " + (type === 'line' ? "Line" : "Command") + " too long\r\n");
+            endClient();
+        });
+
+        clientFramer.on('message', function(data) {
+            clientPipeline.push({ data: data, time: Date.now() });
+        });
+
+        var clientPipeline = createPipeline(function(item, done) {
+            var cmd, data = item.data;
+
+            if (!state.isConnected) {
+                return done();
+            }
+
+            // the proxy's own response to a refused command
+            if (item.response) {
+                writeClient(item.response);
+                return done();
+            }
+
+            // continuation data for AUTHENTICATE or IDLE
+            if (continuationTag) {
+                cmd = { seq: 0, command: data.toString().match(/^DONE\r?\n$/i) ? 'DONE' : '__DATA__', write: true };
+            }
+            else {
+                cmd = parseIMAPCommand(data);
+                cmd.time = item.time;
+
+                // private tags are reserved for commands issued by the proxy
+                if (String(cmd.seq).indexOf(TAG_PREFIX) === 0) {
+                    writeClient(cmd.seq + " BAD Invalid tag\r\n");
+                    return done();
+                }
+            }
+
+            // the proxy terminates TLS, thus STARTTLS is never passed to the server
+            if (cmd.command === 'STARTTLS') {
+                startTLS(cmd.seq);
+                return done();
+            }
+
+            // ... and compression with the client
+            if (cmd.command === 'COMPRESS') {
+                startCompression(cmd.seq, data);
+                return done();
+            }
+
+            // refuse cleartext logins if LOGINDISABLED is announced
+            if ((cmd.command === 'LOGIN' || cmd.command === 'AUTHENTICATE') && config.starttls && config.login_disabled && tlsContext && !state.secure) {
+                writeClient(cmd.seq + " NO [PRIVACYREQUIRED] Use STARTTLS before authenticating\r\n");
+                return done();
+            }
+
+            // emit events with client data
+            var event = extend_event(cmd);
+            clientEmitter.emit(event.command, event, data);
+            if (event.command !== '__DATA__') {
+                clientEmitter.emit('__DATA__', event, data);
+            }
+
+            runMiddleware('client', event, data, function() {
+                clientEmitter.emit('__POSTDATA__', event, data);
+
+                if (!state.isConnected || (!event.result && !event.write)) {
+                    return done();
+                }
+
+                if (event.result) {
+                    data = Buffer.from(event.result);
+                    if (!continuationTag) {
+                        cmd = parseIMAPCommand(data);
+                    }
+                }
+
+                // the client is not yet routed to a server
+                if (!connectionToServer) {
+                    if (continuationTag) {
+                        frontdoorContinuation(data, done);
+                    }
+                    else {
+                        frontdoorCommand(cmd, data, done);
+                    }
+                    return;
+                }
+
+                if (continuationTag) {
+                    session.continuation(state, continuationTag, data);
+                    sendCommand(continuationTag, data);
+                }
+                else {
+                    submitCommand(cmd, data);
+                }
+
+                done();
+            });
+        });
+
+        /**
+         * Handle commands of a client not yet routed to a server
+         */
+        function frontdoorCommand(cmd, data, done) {
+            var args;
+
+            switch (cmd.command) {
+            case 'CAPABILITY':
+                writeClient("* " + filterCapabilities(FRONTDOOR_CAPS, state) + "\r\n" + cmd.seq + " OK CAPABILITY completed\r\n");
+                break;
+
+            case 'NOOP':
+                writeClient(cmd.seq + " OK NOOP completed\r\n");
+                break;
+
+            case 'ID':
+                writeClient("* ID NIL\r\n" + cmd.seq + " OK ID completed\r\n");
+                break;
+
+            case 'LOGOUT':
+                writeClient("* BYE IMAProxy logging out\r\n" + cmd.seq + " OK LOGOUT completed\r\n");
+                endClient();
+                break;
+
+            case 'LOGIN':
+                session.command(state, cmd, data);
+                args = imap.tokenizeData(data.toString('binary'), 3);
+                routeLogin(cmd, data, Buffer.from(String(args[2] || ''), 'binary').toString(), done);
+                return;
+
+            case 'AUTHENTICATE':
+                args = imap.tokenizeData(data.toString('binary'), 4);
+                if (String(args[2]).toUpperCase() !== 'PLAIN') {
+                    writeClient(cmd.seq + " NO Unsupported authentication mechanism\r\n");
+                    break;
+                }
+
+                session.command(state, cmd, data);
+                if (args[3]) {
+                    authenticatePlain(cmd, args[3], done);
+                    return;
+                }
+                else {
+                    // wait for the client's SASL response
+                    continuationTag = cmd.seq;
+                    state.authenticating = cmd.seq;
+                    writeClient("+ \r\n");
+                }
+                break;
+
+            default:
+                writeClient((cmd.seq || '*') + " BAD Command not allowed before authentication\r\n");
+            }
+
+            done();
+        }
+
+        /**
+         * Handle the client's SASL response to AUTHENTICATE PLAIN
+         */
+        function frontdoorContinuation(data, done) {
+            var cmd = { seq: continuationTag, command: 'AUTHENTICATE' },
+                str = data.toString().trim();
+
+            continuationTag = null;
+            state.authenticating = null;
+            session.continuation(state, cmd.seq, data);
+
+            if (str === '*') {
+                frontdoorReply(cmd, "BAD AUTHENTICATE cancelled", done);
+                return;
+            }
+
+            authenticatePlain(cmd, str, done);
+        }
+
+        function authenticatePlain(cmd, sasl, done) {
+            var user = session.saslUser('PLAIN', [ sasl === '=' ? '' : sasl ]),
+                authzid = session.saslAuthzid('PLAIN', [ sasl === '=' ? '' : sasl ]);
+
+            if (!user) {
+                frontdoorReply(cmd, "NO [AUTHENTICATIONFAILED] Authentication failed", done);
+                return;
+            }
+
+            // the session works on the mailbox of the requested identity
+            routeLogin(cmd, Buffer.from(cmd.seq + " AUTHENTICATE PLAIN " + sasl + "\r\n"), authzid || user, done);
+        }
+
+        /**
+         * Look up the server for the given user and connect to it.
+         *
+         * Client commands are held back until the server responded to the login.
+         */
+        function routeLogin(cmd, data, user, done) {
+            router.resolve(user, function(err, server) {
+                if (!state.isConnected) {
+                    return done();
+                }
+
+                if (err || !server) {
+                    if (err) {
+                        console.error(WHITE_CCODE + prefix + "* Server lookup for " + user + " failed!", err);
+                    }
+                    frontdoorReply(cmd, err ? "NO [UNAVAILABLE] Server lookup failed" : "NO [AUTHENTICATIONFAILED] Authentication failed", done);
+                    return;
+                }
+
+                CONN_LOG && console.log(WHITE_CCODE + prefix + "* Routing " + user + " to " + server.hostname + ":" + server.port);
+
+                login = { cmd: cmd, data: data, done: done };
+                connectServer(server);
+            });
+        }
+
+        /**
+         * Answer a login of a client not yet routed to a server.
+         *
+         * The response passes the server event handlers and middleware
+         * like a server's response, so that plugins see the failed login.
+         */
+        function frontdoorReply(cmd, text, done) {
+            var data = Buffer.from(cmd.seq + " " + text + "\r\n"),
+                response = parseIMAPCommand(data);
+
+            response.write = true;
+            response.request = session.response(state, response, data);
+            if (response.request) {
+                countCommand(response.request);
+            }
+
+            serverPipeline.push({ cmd: response, data: data });
+            serverPipeline.push({ fn: done });
+        }
+
+        /**
+         * Send the client's login command to the server the client was routed to
+         */
+        function replayLogin() {
+            var cmd = login.cmd, data = login.data;
+
+            session.command(state, cmd, data);
+
+            // send the SASL response after the server's continuation request
+            if (cmd.command === 'AUTHENTICATE' && !state.capabilities['SASL-IR']) {
+                serverQueue.push({ seq: cmd.seq, data: Buffer.from(cmd.seq + " AUTHENTICATE PLAIN\r\n"), literal: true });
+                serverQueue.push({ seq: cmd.seq, data: Buffer.from(imap.tokenizeData(data.toString(), 4)[3] + "\r\n"), literal: false });
+                flushServerQueue();
+            }
+            else {
+                sendCommand(cmd.seq, data);
+            }
+        }
+
+        /**
+         * The server responded to the routed login
+         */
+        function loginDone(success) {
+            var item = login;
+
+            login = null;
+
+            // drop the server connection, the client may try again
+            if (!success) {
+                detachServer();
+            }
+
+            serverPipeline.push({ fn: item.done });
+        }
+
+        /**
+         * The routed login failed before the server responded to it
+         */
+        function loginFailed(text) {
+            var item = login;
+
+            login = null;
+            detachServer();
+
+            serverPipeline.push({ fn: function() {
+                if (state.isConnected) {
+                    writeClient(item.cmd.seq + " " + text + "\r\n");
+                }
+                item.done();
+            }});
+        }
+
+        function clientError(e) {
+            console.error(WHITE_CCODE + prefix + "* Client connection error!", e);
+            if (state.isConnected) {
+                closed();
+                endServer();
+            }
+        }
+
+        function clientClose() {
+            CONN_LOG && console.log(WHITE_CCODE + prefix + "* Client connection closed");
+            drain(clientInflate, function() {
+                if (state.isConnected) {
+                    closed();
+                    endServer();
+                }
+                clientEmitter.emit('__DISCONNECT__', extend_event({}));
+            });
+        }
+
+        /**
+         * Upgrade the client connection to TLS in response to a STARTTLS command
+         */
+        function startTLS(seq) {
+            if (!config.starttls || !tlsContext || state.secure || state.compress) {
+                writeClient(seq + " BAD STARTTLS not available\r\n");
+                return;
+            }
+
+            // STARTTLS is only valid in the not authenticated state (RFC 3501, 6.2.1)
+            if (state.status !== session.NOT_AUTHENTICATED) {
+                writeClient(seq + " BAD STARTTLS not allowed after authentication\r\n");
+                return;
+            }
+
+            // discard data the client shouldn't have sent before the TLS negotiation
+            clientFramer.rest();
+
+            connectionToClient.write(seq + " OK Begin TLS negotiation now\r\n");
+            if (recorder) {
+                recorder.event('starttls');
+            }
+            connectionToClient.removeListener("data", clientInput);
+            connectionToClient.removeListener("close", clientClose);
+
+            connectionToClient = new tls.TLSSocket(connectionToClient, { isServer: true, secureContext: tlsContext });
+            recordWrites(connectionToClient, 'proxy>client');
+            connectionToClient.on("data", clientInput);
+            connectionToClient.on("error", clientError);
+            connectionToClient.on("close", clientClose);
+
+            connectionToClient.on("secure", function() {
+                state.secure = true;
+                if (CONN_LOG) {
+                    console.log(prefix + "* STARTTLS using " + connectionToClient.getCipher().name + "; " + connectionToClient.getCipher().version);
+                }
+
+                // notify plugins about the upgraded connection
+                clientEmitter.emit('__STARTTLS__', extend_event({}));
+            });
+        }
+
+        /**
+         * Handle the client's COMPRESS command (RFC 4978)
+         */
+        function startCompression(seq, data) {
+            var rest;
+
+            if (!config.compress) {
+                writeClient(seq + " BAD COMPRESS not supported\r\n");
+            }
+            // COMPRESS is only valid in the authenticated state (RFC 4978, 3)
+            else if (state.status === session.NOT_AUTHENTICATED) {
+                writeClient(seq + " BAD COMPRESS not allowed before authentication\r\n");
+            }
+            else if (state.compress) {
+                writeClient(seq + " NO [COMPRESSIONACTIVE] DEFLATE already active\r\n");
+            }
+            else if (!data.toString().match(/^\S+ +COMPRESS +DEFLATE\s*$/i)) {
+                writeClient(seq + " BAD Unsupported compression mechanism\r\n");
+            }
+            // pass the command on and compress the server connection, too
+            else if (config.compress_server && state.capabilities['COMPRESS=DEFLATE'] && !serverDeflate) {
+                compressTag = seq;
+                submitCommand({ seq: seq, command: 'COMPRESS' }, data);
+            }
+            else {
+                rest = clientFramer.rest();
+                writeClient(seq + " OK DEFLATE active\r\n");
+                compressClient();
+                if (rest.length) {
+                    clientInflate.write(rest);
+                }
+            }
+        }
+
+        /**
+         * Create an inflate/deflate stream pair for the given socket
+         */
+        function deflateStreams(socket, ondata) {
+            var inflate = zlib.createInflateRaw(),
+                deflate = zlib.createDeflateRaw({ flush: zlib.Z_SYNC_FLUSH });
+
+            function onerror(e) {
+                console.error(WHITE_CCODE + prefix + "* Compression error!", e);
+                socket.destroy();
+            }
+
+            inflate.on("data", ondata);
+            inflate.on("error", onerror);
+            deflate.on("error", onerror);
+            deflate.pipe(socket);
+
+            return { inflate: inflate, deflate: deflate };
+        }
+
+        /**
+         * Process data still pending in the given inflate stream before invoking callback
+         */
+        function drain(inflate, callback) {
+            if (!inflate || inflate.destroyed) {
+                callback();
+                return;
+            }
+            inflate.flush(zlib.Z_SYNC_FLUSH, callback);
+        }
+
+        function compressClient() {
+            var streams = deflateStreams(connectionToClient, clientData);
+            clientInflate = streams.inflate;
+            clientDeflate = streams.deflate;
+            recordWrites(clientDeflate, 'proxy>client');
+            state.compress = true;
+            if (recorder) {
+                recorder.event('compress-client');
+            }
+            CONN_LOG && console.log(WHITE_CCODE + prefix + "* COMPRESS=DEFLATE active on client connection");
+        }
+
+        function compressServer() {
+            var streams = deflateStreams(connectionToServer, serverData);
+            serverInflate = streams.inflate;
+            serverDeflate = streams.deflate;
+            recordWrites(serverDeflate, 'proxy>server');
+            if (recorder) {
+                recorder.event('compress-server');
+            }
+            CONN_LOG && console.log(WHITE_CCODE + prefix + "* COMPRESS=DEFLATE active on server connection");
+        }
+
+        recordWrites(connectionToClient, 'proxy>client');
+        connectionToClient.on("data", clientInput);
+        connectionToClient.on("error", clientError);
+        connectionToClient.on("close", clientClose);
+
+        sessions[state.ID] = { state: state, command: queueCommand, shutdown: shutdown };
+
+        // emit client connection event
+        clientEmitter.emit('__CONNECT__', extend_event({}));
+
+        function serverInput(data) {
+            state.received.server += data.length;
+            metrics.inc('imaproxy_received_bytes_total', { from: 'server' }, data.length);
+            if (serverInflate) {
+                serverInflate.write(data);
+            }
+            else {
+                serverData(data);
+            }
+        }
+
+        function serverData(data) {
+            if (!state.isConnected) {
+                return;
+            }
+
+            if (recorder) {
+                recorder.write('server>proxy', data);
+            }
+
+            // send all responses found in this chunk in one go
+            connectionToClient.cork();
+            serverFramer.push(data);
+            connectionToClient.uncork();
+        }
+
+        serverFramer.on('message', function(data) {
+            var rest, greeting = false, cmd = parseIMAPCommand(data);
+            cmd.write = true;  // always send by default
+
+            if (!state.isConnected) {
+                return;
+            }
+
+            if (!greeted) {
+                greeted = true;
+                connectionToServer.setTimeout(0);
+
+                // the server greeting is swallowed if the proxy greeted the client itself
+                if (login) {
+                    session.response(state, cmd, data);
+                    if (cmd.command !== 'OK') {
+                        loginFailed("NO [UNAVAILABLE] Server not available");
+                    }
+                    // send the client's address before the login
+                    else if (config.forward_client_ip === 'id') {
+                        activeCommand = { tag: TAG_PREFIX + (++TAG_COUNT), command: clientIdCommand(), lines: [], callback: function(err) {
+                            if (!err) {
+                                replayLogin();
+                            }
+                        }};
+                        sendCommand(activeCommand.tag, Buffer.from(activeCommand.tag + " " + activeCommand.command + "\r\n"));
+                    }
+                    else {
+                        replayLogin();
                     }
-                    event.state.capabilities = true;
+                    return;
                 }
+
+                // the server refuses connections, try the next one
+                if (cmd.command === 'BYE') {
+                    serverUnavailable();
+                    return;
+                }
+
+                greeting = true;
             }
-        });
 
-        // load modules that register event listeners
-        var k, p, plugin, files = fs.readdirSync(__dirname + '/plugins');
-        for (k in files) {
-            if (!files[k].match(/\.js$/)) {
-                continue;
+            // continuation request for the literal we're about to send
+            if (literalTag) {
+                if (data[0] === 0x2B) {
+                    literalTag = null;
+                    flushServerQueue();
+                    return;
+                }
+                // command was rejected, discard the remaining parts
+                if (cmd.seq === literalTag) {
+                    serverQueue = serverQueue.filter(function(item) { return item.seq !== literalTag; });
+                    literalTag = null;
+                    flushServerQueue();
+                }
             }
 
-            try {
-                plugin = require(__dirname + '/plugins/' + files[k]);
-                p = new plugin(self);
-                p.init();
-                plugins.push(p);
+            if (cmd.seq && cmd.seq === continuationTag) {
+                continuationTag = null;
             }
-            catch (e) {
-                console.error("Failed to load plugin " + files[k], e);
+            if (cmd.seq && cmd.seq === state.authenticating) {
+                state.authenticating = null;
             }
-        }
-    }
 
-    /**
-     * Handler for new connections from mail clients
-     */
-    function clientListener(connectionToClient)
-    {
-        connections++;
+            // update session state and attach the request to tagged responses
+            cmd.request = session.response(state, cmd, data);
+            if (cmd.request) {
+                countCommand(cmd.request);
 
-        // This callback is run when the server gets a connection from a client.
-        var connectionToServer, state = { ID: ++ID_COUNT, isConnected: true, capabilities: false }, prefix = "[" + PID + state.ID + "] ", client_buffer = '';
-        CONN_LOG && console.log(WHITE_CCODE + prefix + "* Connection established from %s:%d; open connections: %d",
-            connectionToClient.remoteAddress, connectionToClient.remotePort, connections);
+                // payload logging requested for this user
+                if (state.user && traceUsers[String(state.user).toLowerCase()]) {
+                    state.trace = true;
+                }
 
-        // print TLS connection details
-        if (CONN_LOG && connectionToClient.getCipher) {
-            console.log(prefix + "* Using " + connectionToClient.getCipher().name + "; " + connectionToClient.getCipher().version);
-        }
+                // only keep the recordings of the configured users
+                if (recorder && config.record_users && (cmd.request.command === 'LOGIN' || cmd.request.command === 'AUTHENTICATE') && cmd.command === 'OK') {
+                    if (matchUser(state.user, config.record_users)) {
+                        recorder.save(recordingPath(state));
+                    }
+                    else {
+                        recorder.discard();
+                    }
+                }
+            }
 
-        function extend_event(event) {
-            event.server = connectionToServer;
-            event.client = connectionToClient;
-            event.state = state;
-            return event;
-        }
+            // responses to a command issued by the proxy are not forwarded
+            if (activeCommand && proxyResponse(cmd, data)) {
+                return;
+            }
+
+            // the server's response to the COMPRESS command is replaced by our own
+            if (compressTag && cmd.seq === compressTag) {
+                rest = serverFramer.rest();
+                if (cmd.command === 'OK') {
+                    compressServer();
+                }
 
-        connectionToClient.on("data", function(data) {
-            var cmd = parseIMAPCommand(data, client_buffer);
+                // switch the client connection after all previous responses were sent
+                serverPipeline.push({ fn: function() {
+                    writeClient(compressTag + " OK DEFLATE active\r\n");
+                    compressClient();
+                    compressTag = null;
+                }});
 
-            // buffer short inputs leading to split tags (observed with Apple Mail)
-            if (!cmd.write) {
-                client_buffer += data.toString();
+                if (rest.length) {
+                    serverInput(rest);
+                }
+                nextCommand();
                 return;
             }
-            if (client_buffer.length) {
-                // concatenate buffered string with current data
-                data = Buffer.concat([new Buffer(client_buffer), data]);
-                client_buffer = '';
-            }
 
-            // emit events with client data
-            var event = extend_event(cmd);
-            clientEmitter.emit(event.command, event, data);
-            if (event.command !== '__DATA__') {
-                clientEmitter.emit('__DATA__', event, data);
-            }
-            clientEmitter.emit('__POSTDATA__', event, data);
+            serverPipeline.push({ cmd: cmd, data: data });
 
-            if (event.result) {
-                connectionToServer.write(event.result);
-            }
-            else if (event.write) {
-                connectionToServer.write(data);
+            if (greeting) {
+                // send the client's address before the client's first command
+                if (config.forward_client_ip === 'id') {
+                    queueCommand(clientIdCommand(), function() {});
+                }
+
+                // proxy commands and held client commands may be sent now
+                nextCommand();
             }
-        });
 
-        connectionToClient.on("error", function(e){
-            console.error(WHITE_CCODE + prefix + "* Client connection error!", e);
-            if (state.isConnected) {
-                connectionToServer.end();
-                connections--;
+            if (login && cmd.seq === login.cmd.seq) {
+                loginDone(cmd.command === 'OK');
             }
-        });
 
-        connectionToClient.on("close", function(){
-            CONN_LOG && console.log(WHITE_CCODE + prefix + "* Client connection closed");
-            if (state.isConnected) {
-                state.isConnected = false;
-                connectionToServer.end();
-                connections--;
+            // a client command completed, proxy commands may be sent now
+            if (cmd.request) {
+                nextCommand();
             }
-            clientEmitter.emit('__DISCONNECT__', extend_event({}));
         });
 
-        // emit client connection event
-        clientEmitter.emit('__CONNECT__', extend_event({}));
+        var serverPipeline = createPipeline(function(item, done) {
+            var cmd = item.cmd, data = item.data;
 
-        // Now that we have a client on the line, make a connection to the IMAP server.
-        state.conn = new net.Socket();
-
-        // establish a SSL/TLS connection
-        if (imap_server.protocol === 'tls:' || imap_server.protocol === 'ssl:') {
-            connectionToServer = tls.connect({
-                    socket: state.conn,
-                    rejectUnauthorized: !config.tls_nocheck_certs
-                }, function() {
-                    CONN_LOG && console.log(WHITE_CCODE + prefix + "* Client connected");
-                    state.conn = connectionToServer;
-                });
-        }
-        else {
-            connectionToServer = state.conn;
-        }
+            if (item.fn) {
+                item.fn();
+                return done();
+            }
 
-        connectionToServer.on("data", function(data) {
-            var str = data.toString();
             if (!state.isConnected) {
-                return;
+                return done();
             }
 
-            var cmd = parseIMAPCommand(data, '');
-            cmd.write = true;  // always send by default
-
             // emit events with server data
             var event = extend_event(cmd);
             serverEmitter.emit(event.command, event, data);
             if (event.command !== '__DATA__') {
                 serverEmitter.emit('__DATA__', event, data);
             }
-            serverEmitter.emit('__POSTDATA__', event, data);
 
-            if (event.result) {
-                connectionToClient.write(event.result);
-            }
-            else if (event.write) {
-                connectionToClient.write(data);
-            }
+            runMiddleware('server', event, data, function() {
+                serverEmitter.emit('__POSTDATA__', event, data);
+
+                if (state.isConnected) {
+                    if (event.result) {
+                        writeClient(event.result);
+                    }
+                    else if (event.write) {
+                        writeClient(data);
+                    }
+                }
+
+                done();
+            });
         });
 
-        connectionToServer.on("timeout", function(){
+        function serverTimeout() {
             CONN_LOG && console.log(WHITE_CCODE + prefix + "* Server connection timeout!");
-            connectionToServer.end();
-            connectionToClient.end();
-        });
+            if (!greeted) {
+                serverUnavailable();
+                return;
+            }
+            endServer();
+            endClient();
+        }
 
-        connectionToServer.on("error", function(e){
+        function serverError(e) {
             console.error(WHITE_CCODE + prefix + "* Server connection error!", e);
+            if (!greeted) {
+                serverUnavailable();
+                return;
+            }
             connectionToServer.destroy();
-            connectionToClient.end();
-        });
+            endClient();
+        }
 
-        connectionToServer.on("close", function(){
-            CONN_LOG && console.log(WHITE_CCODE + prefix + "* Disconnected from " + imap_server.hostname);
-            if (state.isConnected) {
-                state.isConnected = false;
-                connectionToClient.end();
-                connections--;
+        function serverClose() {
+            CONN_LOG && console.log(WHITE_CCODE + prefix + "* Disconnected from " + state.server.hostname);
+            if (!greeted) {
+                serverUnavailable();
+                return;
             }
-            serverEmitter.emit('__DISCONNECT__', extend_event({}));
-        });
+            if (backend) {
+                pool.release(backend);
+                backend = null;
+            }
+            drain(serverInflate, function() {
+                if (state.isConnected) {
+                    closed();
+                    endClient();
+                }
+                serverEmitter.emit('__DISCONNECT__', extend_event({}));
+            });
+        }
+
+        /**
+         * Open the connection to the given IMAP server
+         */
+        function connectServer(server) {
+            greeted = false;
+            state.server = server;
+            state.conn = new net.Socket();
+
+            // connect to IMAP server
+            state.conn.connect(server.port, server.hostname, function(){
+                var e = extend_event({});
+                serverEmitter.emit('__CONNECT__', e);
+
+                if (config.keep_alive) {
+                    state.conn.setKeepAlive(true, config.keep_alive * 1000);
+                }
+            });
+
+            // pass the client's address to the server in a PROXY protocol header
+            // (queued before the TLS handshake and any IMAP data)
+            if (config.forward_client_ip === 'proxy-v1' || config.forward_client_ip === 'proxy-v2') {
+                state.conn.write(proxyproto.header(config.forward_client_ip === 'proxy-v2' ? 2 : 1, {
+                    address: state.remoteAddress,
+                    port: state.remotePort,
+                    localAddress: state.localAddress,
+                    localPort: state.localPort
+                }));
+            }
+
+            // establish a SSL/TLS connection
+            if (server.protocol === 'tls:' || server.protocol === 'ssl:') {
+                connectionToServer = tls.connect({
+                        socket: state.conn,
+                        rejectUnauthorized: !config.tls_nocheck_certs
+                    }, function() {
+                        CONN_LOG && console.log(WHITE_CCODE + prefix + "* Client connected");
+                        state.conn = connectionToServer;
+                    });
+            }
+            else {
+                connectionToServer = state.conn;
+            }
+            recordWrites(connectionToServer, 'proxy>server');
 
-        // connect to IMAP server
-        state.conn.connect(imap_server.port, imap_server.hostname, function(){
-            var e = extend_event({});
-            serverEmitter.emit('__CONNECT__', e);
+            // time limit for connecting and receiving the greeting
+            connectionToServer.setTimeout((config.backend_timeout || 10) * 1000);
 
-            if (config.keep_alive) {
-                state.conn.setKeepAlive(true, config.keep_alive * 1000);
+            connectionToServer.on("data", serverInput);
+            connectionToServer.on("timeout", serverTimeout);
+            connectionToServer.on("error", serverError);
+            connectionToServer.on("close", serverClose);
+        }
+
+        /**
+         * Connect to the next available server of the pool
+         */
+        function connectBackend() {
+            backend = pool.select(tried);
+
+            if (!backend) {
+                CONN_LOG && console.log(WHITE_CCODE + prefix + "* No IMAP server available");
+                writeClient("* BYE [UNAVAILABLE] No IMAP server available\r\n");
+                closed();
+                endClient();
+                return;
+            }
+
+            tried.push(backend);
+            connectServer(backend.server);
+        }
+
+        /**
+         * The server could not be connected or didn't send a greeting
+         */
+        function serverUnavailable() {
+            metrics.inc('imaproxy_backend_failures_total', { server: state.server.hostname + ':' + state.server.port });
+
+            if (login) {
+                loginFailed("NO [UNAVAILABLE] Server not available");
+                return;
+            }
+
+            pool.failed(backend);
+            backend = null;
+            detachServer();
+            connectBackend();
+        }
+
+        /**
+         * Drop the connection to the current server
+         */
+        function detachServer() {
+            var socket = connectionToServer;
+
+            socket.removeListener("data", serverInput);
+            socket.removeListener("timeout", serverTimeout);
+            socket.removeListener("error", serverError);
+            socket.removeListener("close", serverClose);
+            socket.on("error", function() {});
+            socket.destroy();
+
+            if (backend) {
+                pool.release(backend);
+                backend = null;
+            }
+
+            connectionToServer = null;
+            serverFramer.reset();
+            serverQueue = [];
+            literalTag = null;
+            state.server = null;
+            state.pending = {};
+            state.capabilities = {};
+        }
+
+        acceptConnection(state, function(err) {
+            if (err) {
+                CONN_LOG && console.log(WHITE_CCODE + prefix + "* Connection rejected: " + err);
+                writeClient("* BYE [UNAVAILABLE] " + err + "\r\n");
+                closed();
+                endClient();
+            }
+            // greet the client and wait for the login to find its server
+            else if (router) {
+                writeClient("* OK [" + filterCapabilities(FRONTDOOR_CAPS, state) + "] IMAProxy ready\r\n");
+            }
+            // ... or make a connection to an IMAP server right away
+            else {
+                connectBackend();
             }
         });
     }
@@ -272,14 +1846,39 @@ function IMAProxy(config)
      */
     function start()
     {
+        if (!router) {
+            pool.start();
+        }
+
+        if (config.record_dir && !fs.existsSync(config.record_dir)) {
+            fs.mkdirSync(config.record_dir, { recursive: true });
+        }
+
         // use tls for secured connections if configured
-        var server;
-        if (config.ssl) {
-            var options = {
-                key:  fs.readFileSync(config.ssl_key),
-                cert: fs.readFileSync(config.ssl_cert),
-                ca: [ fs.readFileSync(config.ssl_ca) ]
-            };
+        var options;
+        if (config.ssl || config.starttls) {
+            options = loadCertificates();
+        }
+
+        // read the original client address from the PROXY protocol header of a load balancer
+        if (config.proxy_protocol) {
+            server = net.createServer(function(socket) {
+                proxyproto.accept(socket, function(err, remote) {
+                    if (err) {
+                        CONN_LOG && console.log(WHITE_CCODE + "* Rejected connection from %s: %s", socket.remoteAddress, err.message);
+                        socket.destroy();
+                        return;
+                    }
+
+                    if (config.ssl) {
+                        socket = new tls.TLSSocket(socket, { isServer: true, secureContext: tlsContext });
+                    }
+
+                    clientListener(socket, remote);
+                });
+            });
+        }
+        else if (config.ssl) {
             server = tls.createServer(options, clientListener);
         }
         else {
@@ -291,28 +1890,105 @@ function IMAProxy(config)
         });
     }
 
+    /**
+     * Read the TLS certificate files and create the secure context for client connections
+     */
+    function loadCertificates()
+    {
+        var options = {
+            key:  fs.readFileSync(config.ssl_key),
+            cert: fs.readFileSync(config.ssl_cert),
+            ca: [ fs.readFileSync(config.ssl_ca) ]
+        };
+
+        tlsContext = tls.createSecureContext(options);
+        return options;
+    }
+
+    /**
+     * Stop accepting new connections and close the open ones
+     *
+     * Clients still connected after the given timeout are disconnected with * BYE.
+     *
+     * @param int      Time (in seconds) to wait for clients to log out
+     * @param function Callback invoked when all connections are closed
+     */
+    function stop(timeout, callback)
+    {
+        callback = callback || function() {};
+
+        if (stopping) {
+            stopping.callbacks.push(callback);
+            // a shorter timeout wins
+            if (timeout < stopping.timeout) {
+                clearTimeout(stopping.timer);
+                stopping.timeout = timeout;
+                stopping.timer = setTimeout(disconnectAll, timeout * 1000);
+            }
+            return;
+        }
+
+        console.log(WHITE_CCODE + "* IMAP proxy" + (cluster.isWorker ? " (" + cluster.worker.id + ")" : '') +
+            " is shutting down; open connections: " + connections);
+
+        stopping = { callbacks: [ callback ], timeout: timeout, timer: setTimeout(disconnectAll, timeout * 1000) };
+
+        pool.stop();
+        if (server) {
+            server.close();
+        }
+
+        if (!connections) {
+            stopped();
+        }
+    }
+
+    function disconnectAll()
+    {
+        var id;
+
+        for (id in sessions) {
+            sessions[id].shutdown("IMAP proxy shutting down");
+        }
+
+        // don't wait forever for clients not closing their connection
+        stopping.timer = setTimeout(stopped, SHUTDOWN_WAIT);
+    }
+
+    function stopped()
+    {
+        var callbacks = stopping.callbacks;
+
+        clearTimeout(stopping.timer);
+        stopping.callbacks = [];
+        callbacks.forEach(function(callback) {
+            callback();
+        });
+    }
+
     /**
      * Simple utility function to parse an IMAP command or response.
-     * Extracts the actual command and the sequence number.
+     * Extracts the actual command and the sequence number from the first line.
      */
-    function parseIMAPCommand(data, old_buffer)
+    function parseIMAPCommand(data)
     {
-        var str = old_buffer + data.toString('utf8', 0, 256),
-            lines = str.split(/\r?\n/),
-            tokens = String(lines[0]).split(/ +/),
+        var eol = data.indexOf(10),
+            line = data.toString('utf8', 0, eol < 0 ? data.length : eol).replace(/\r$/, ''),
+            tokens = line.split(/ +/),
             cmd = { seq: 0, command: '__DATA__', write: true };
 
         if (tokens.length > 1 && tokens[1].match(/^[a-z]+$/i)) {
             cmd.seq = tokens[0];
             cmd.command = tokens[1].toUpperCase();
         }
+        // untagged responses with a number, e.g. * 23 EXISTS
+        else if (tokens.length > 2 && tokens[0] === '*' && tokens[1].match(/^[0-9]+$/) && tokens[2].match(/^[a-z]+$/i)) {
+            cmd.seq = tokens[0];
+            cmd.command = tokens[2].toUpperCase();
+        }
         else if (tokens.length === 1 && tokens[0].match(/^[a-z]+$/i)) {
             cmd.command = tokens[0].toUpperCase();
         }
-        else if (tokens.length === 1 && lines.length === 1 && str.length < 10) {
-            // incomplete tag, don't forward to receiver
-            cmd.write = false;
-        }
 
         // UID X command
         if (cmd.command === 'UID') {
@@ -336,25 +2012,253 @@ if (process.argv.length > 2) {
 
 var config = require(configfile);
 
+// delay (in ms) before restarting a crashed worker, doubled with every crash in a row
+var RESTART_DELAY = 1000;
+var RESTART_MAX_DELAY = 60000;
+
+/**
+ * Read the config file again
+ */
+function reloadConfig()
+{
+    var file = require.resolve(configfile), prev = require.cache[file];
+
+    delete require.cache[file];
+    try {
+        config = require(file);
+        return true;
+    }
+    catch (e) {
+        require.cache[file] = prev;
+        console.error("* Failed to reload config from " + file, e);
+        return false;
+    }
+}
+
+/**
+ * Replace the given workers one by one with new ones
+ *
+ * An old worker is only retired after its replacement is listening.
+ */
+function rollWorkers(old, count)
+{
+    var worker;
+
+    if (count <= 0) {
+        old.forEach(retireWorker);
+        rolling = false;
+        console.log("* Reload completed");
+        return;
+    }
+
+    worker = cluster.fork();
+    worker.starting = true;
+
+    worker.once('listening', function() {
+        worker.starting = false;
+        if (old.length) {
+            retireWorker(old.shift());
+        }
+        rollWorkers(old, count - 1);
+    });
+
+    worker.once('exit', function() {
+        if (worker.starting) {
+            rolling = false;
+            console.error("* Reload aborted: worker %d failed to start", worker.id);
+        }
+    });
+}
+
+/**
+ * Time (in seconds) to let the clients of a replaced worker or proxy finish their sessions
+ */
+function drainTimeout()
+{
+    return config.drain_timeout === undefined ? 300 : config.drain_timeout;
+}
+
+/**
+ * Let a worker finish its open sessions and exit
+ */
+function retireWorker(worker, timeout)
+{
+    timeout = timeout === undefined ? drainTimeout() : timeout;
+
+    worker.retired = true;
+    if (!worker.isConnected()) {
+        worker.kill();
+        return;
+    }
+
+    worker.send({ imaproxy: 'shutdown', timeout: timeout });
+
+    // the worker should have exited by then
+    setTimeout(function() {
+        if (!worker.isDead()) {
+            console.warn("* Worker %d (PID=%s) did not exit in time", worker.id, worker.process.pid);
+            worker.kill('SIGKILL');
+        }
+    }, timeout * 1000 + 30000).unref();
+}
+
 // fork child processes
 if (cluster.isMaster && config.workers) {
+  var rolling = false, stopping = false, crashes = 0, lastCrash = 0;
+
+  // serve the workers' requests to shared data
+  ipc.listen();
+
+  if (config.metrics_port) {
+    metrics.listen(config.metrics_port, config.metrics_host);
+  }
+  if (config.admin_socket) {
+    admin.listen(config.admin_socket);
+  }
+
   for (var i = 0; i < config.workers; i++) {
     cluster.fork();
   }
 
   cluster.on('exit', function(worker, code, signal) {
-    if (code !== 0) {
-        // restart a crashed child process
-        console.warn("* Worker %d (PID=%s) died with code %d. Restarting...", worker.id, worker.process.pid, code);
-        cluster.fork();
+    var delay;
+
+    if (stopping) {
+        if (!Object.keys(cluster.workers).length) {
+            console.log("* IMAP proxy stopped");
+            process.exit(0);
+        }
+    }
+    else if (worker.retired) {
+        console.log("Worker %d (PID=%s) retired", worker.id, worker.process.pid);
+    }
+    else if (worker.starting) {
+        console.warn("* Worker %d (PID=%s) died with code %d during startup", worker.id, worker.process.pid, code);
+    }
+    else if (code !== 0) {
+        // restart a crashed child process, slowing down if it keeps crashing
+        crashes = Date.now() - lastCrash > RESTART_MAX_DELAY * 2 ? 1 : crashes + 1;
+        lastCrash = Date.now();
+        delay = Math.min(RESTART_MAX_DELAY, RESTART_DELAY * Math.pow(2, crashes - 1));
+
+        console.warn("* Worker %d (PID=%s) died with %s. Restarting in %d seconds...", worker.id, worker.process.pid,
+            signal ? "signal " + signal : "code " + code, delay / 1000);
+        setTimeout(function() {
+            if (!stopping) {
+                cluster.fork();
+            }
+        }, delay);
     }
     else {
         console.log("Worker %d (PID=%s) exited with signal %s", worker.id, worker.process.pid, signal);
     }
   });
+
+  // reload the config and replace the workers
+  process.on('SIGHUP', function() {
+    if (rolling || stopping) {
+        console.warn("* Ignoring SIGHUP, " + (rolling ? "reload" : "shutdown") + " in progress");
+        return;
+    }
+
+    console.log("* Reloading config and restarting workers");
+    if (reloadConfig()) {
+        rolling = true;
+        rollWorkers(Object.keys(cluster.workers).map(function(id) { return cluster.workers[id]; }), config.workers);
+    }
+  });
+
+  // close all client connections and exit
+  var stopWorkers = function() {
+    if (stopping) {
+        console.warn("* Forced shutdown");
+        process.exit(1);
+    }
+
+    stopping = true;
+    Object.keys(cluster.workers).forEach(function(id) {
+        retireWorker(cluster.workers[id], 0);
+    });
+
+    if (!Object.keys(cluster.workers).length) {
+        process.exit(0);
+    }
+  };
+
+  process.on('SIGTERM', stopWorkers);
+  process.on('SIGINT', stopWorkers);
 }
 else {
-    var proxy = new IMAProxy(config);
+    var proxy = new IMAProxy(config), retired = [];
     proxy.start();
-}
 
+    if (config.metrics_port && !cluster.isWorker) {
+        metrics.listen(config.metrics_port, config.metrics_host);
+    }
+    if (config.admin_socket && !cluster.isWorker) {
+        admin.listen(config.admin_socket);
+    }
+
+    var shutdown = function(timeout) {
+        var proxies = retired.concat([ proxy ]), count = proxies.length;
+
+        proxies.forEach(function(item) {
+            item.stop(timeout, function() {
+                if (--count > 0) {
+                    return;
+                }
+                // hand the final counters to the master
+                metrics.report(function() {
+                    process.exit(0);
+                });
+            });
+        });
+    };
+
+    if (config.metrics_port && cluster.isWorker) {
+        metrics.startReporting();
+    }
+
+    process.on('SIGTERM', function() { shutdown(0); });
+    process.on('SIGINT', function() { shutdown(0); });
+
+    if (cluster.isWorker) {
+        // the master asks the worker to exit after a reload or on shutdown
+        process.on('message', function(msg) {
+            if (msg && msg.imaproxy === 'shutdown') {
+                shutdown(msg.timeout);
+            }
+        });
+
+        // reloads are handled by the master
+        process.on('SIGHUP', function() {});
+    }
+    else {
+        // replace the proxy with one using the reloaded config,
+        // the old one lets its clients finish their sessions
+        process.on('SIGHUP', function() {
+            var next, old = proxy;
+
+            console.log("* Reloading config");
+            if (!reloadConfig()) {
+                return;
+            }
+
+            try {
+                next = new IMAProxy(config);
+            }
+            catch (e) {
+                console.error("* Failed to apply the reloaded config", e);
+                return;
+            }
+
+            retired.push(old);
+            old.stop(drainTimeout(), function() {
+                retired.splice(retired.indexOf(old), 1);
+            });
+
+            proxy = next;
+            proxy.start();
+        });
+    }
+}
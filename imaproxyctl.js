@@ -0,0 +1,188 @@
+/**
+ * Command line client for the IMAProxy admin socket
+ *
+ * Usage: node imaproxyctl.js [-c <config-file>] [-s <socket-path>] <command>
+ *
+ *   list                             List the open sessions
+ *   kill session|user <id|name>      Disconnect sessions with * BYE
+ *   trace session|user <id|name> on|off
+ *                                    Switch payload logging on or off
+ *
+ * @author Thomas Bruederli <thomas@roundcube.net>
+ *
+ * Copyright (C) 2014, Thomas Bruederli, Bern, Switzerland
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, either version 3 of the
+ * License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+"use strict";
+
+var net = require("net");
+
+var USAGE = "Usage: node imaproxyctl.js [-c <config-file>] [-s <socket-path>] <command>\n\n" +
+    "  list                                  List the open sessions\n" +
+    "  kill session|user <id|name>           Disconnect sessions with * BYE\n" +
+    "  trace session|user <id|name> on|off   Switch payload logging on or off\n";
+
+/**
+ * Build the admin request from the command line arguments
+ */
+function parseCommand(args)
+{
+    var request = { command: args[0] };
+
+    switch (args[0]) {
+    case 'list':
+        return request;
+
+    case 'trace':
+        if (args[3] !== 'on' && args[3] !== 'off') {
+            return null;
+        }
+        request.enable = args[3] === 'on';
+        /* falls through */
+
+    case 'kill':
+        if ((args[1] !== 'session' && args[1] !== 'user') || !args[2]) {
+            return null;
+        }
+        request[args[1]] = args[2];
+        return request;
+    }
+
+    return null;
+}
+
+function pad(str, len)
+{
+    str = String(str === null || str === undefined ? '-' : str);
+    return str + new Array(Math.max(0, len - str.length) + 1).join(' ');
+}
+
+/**
+ * Print the list of sessions as a table
+ */
+function printSessions(list)
+{
+    var columns = [
+        [ 'ID', 'id' ],
+        [ 'WORKER', 'worker' ],
+        [ 'CLIENT', 'client' ],
+        [ 'USER', 'user' ],
+        [ 'MAILBOX', 'mailbox' ],
+        [ 'SERVER', 'server' ],
+        [ 'STARTED', 'started' ],
+        [ 'FROM CLIENT', function(s) { return s.received.client; } ],
+        [ 'FROM SERVER', function(s) { return s.received.server; } ],
+        [ 'TRACE', function(s) { return s.trace ? 'on' : ''; } ]
+    ];
+
+    var rows = [ columns.map(function(col) { return col[0]; }) ].concat(list.map(function(s) {
+        return columns.map(function(col) {
+            return typeof col[1] === 'function' ? col[1](s) : s[col[1]];
+        });
+    }));
+
+    var widths = columns.map(function(col, i) {
+        return Math.max.apply(null, rows.map(function(row) {
+            return String(row[i] === null || row[i] === undefined ? '-' : row[i]).length;
+        }));
+    });
+
+    rows.forEach(function(row) {
+        console.log(row.map(function(value, i) { return pad(value, widths[i]); }).join('  ').trim());
+    });
+}
+
+/////////////////////////  main()
+
+var i, arg, args = [], socketPath, request, socket, buffer = '',
+    configfile = './config.js';
+
+for (i = 2; i < process.argv.length; i++) {
+    arg = process.argv[i];
+    if (arg === '-c') {
+        configfile = process.argv[++i];
+    }
+    else if (arg === '-s') {
+        socketPath = process.argv[++i];
+    }
+    else {
+        args.push(arg);
+    }
+}
+
+if (!(request = parseCommand(args))) {
+    process.stderr.write(USAGE);
+    process.exit(1);
+}
+
+socketPath = socketPath || require(configfile).admin_socket;
+if (!socketPath) {
+    console.error("The admin socket is not configured (admin_socket)");
+    process.exit(1);
+}
+
+socket = net.connect(socketPath, function() {
+    socket.write(JSON.stringify(request) + "\n");
+});
+
+socket.setEncoding('utf8');
+socket.setTimeout(10000);
+
+socket.on('data', function(data) {
+    var response;
+
+    buffer += data;
+    if (buffer.indexOf("\n") < 0) {
+        return;
+    }
+
+    socket.end();
+    response = JSON.parse(buffer);
+
+    if (!response.ok) {
+        console.error("Error: " + response.error);
+        process.exitCode = 1;
+    }
+    else if (request.command === 'list') {
+        printSessions(response.result);
+    }
+    // also applies to the user's future sessions
+    else if (request.command === 'trace' && request.user) {
+        console.log("Payload logging " + (request.enable ? "enabled" : "disabled") + " for user " + request.user +
+            " (" + response.result.length + " open sessions)");
+    }
+    else if (!response.result.length) {
+        console.error("No matching session found");
+        process.exitCode = 1;
+    }
+    else {
+        response.result.forEach(function(s) {
+            console.log((request.command === 'kill' ? "Terminated" : "Payload logging " + (request.enable ? "enabled" : "disabled") + " for") +
+                " session " + s.id + (s.user ? " (" + s.user + ")" : ''));
+        });
+    }
+});
+
+socket.on('timeout', function() {
+    console.error("Timeout waiting for the IMAP proxy");
+    socket.destroy();
+    process.exitCode = 1;
+});
+
+socket.on('error', function(e) {
+    console.error("Failed to connect to " + socketPath + ": " + e.message);
+    process.exitCode = 1;
+});
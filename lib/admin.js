@@ -0,0 +1,153 @@
+/**
+ * Admin interface on a local Unix socket
+ *
+ * This file is part of the IMAProxy package by Kolab
+ *
+ * @author Thomas Bruederli <thomas@roundcube.net>
+ *
+ * Copyright (C) 2014, Thomas Bruederli, Bern, Switzerland
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, either version 3 of the
+ * License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+"use strict";
+
+var fs = require("fs"),
+    net = require("net"),
+    ipc = require("./ipc.js");
+
+var MAX_REQUEST_LENGTH = 65536;
+
+// admin commands mapped to the request types handled by the proxy processes
+var COMMANDS = {
+    list:  'admin.sessions',
+    kill:  'admin.kill',
+    trace: 'admin.trace'
+};
+
+/**
+ * Start the admin socket (in the master process or in single-process mode)
+ *
+ * The socket accepts one JSON request per line, e.g. { "command": "kill", "session": "1:23" },
+ * which is passed on to all proxy processes. The combined results are sent back
+ * as one JSON line: { "ok": true, "result": [ ... ] } or { "ok": false, "error": "..." }.
+ *
+ * @param string Socket path
+ */
+function listen(path)
+{
+    var umask, server = net.createServer(function(socket) {
+        var buffer = '';
+
+        socket.setEncoding('utf8');
+        socket.on('error', function() {});
+        socket.on('data', function(data) {
+            var eol;
+
+            buffer += data;
+            if (buffer.length > MAX_REQUEST_LENGTH) {
+                socket.destroy();
+                return;
+            }
+
+            while ((eol = buffer.indexOf("\n")) >= 0) {
+                execute(buffer.substr(0, eol), function(response) {
+                    if (!socket.destroyed) {
+                        socket.write(JSON.stringify(response) + "\n");
+                    }
+                });
+                buffer = buffer.substr(eol + 1);
+            }
+        });
+    });
+
+    // remove the socket file of a previous run
+    try {
+        fs.unlinkSync(path);
+    }
+    catch (e) {
+        // ignore
+    }
+
+    server.on('error', function(e) {
+        console.error("* Admin socket failed", e);
+    });
+
+    // create the socket file accessible by the owner only right away (the bind is synchronous)
+    umask = process.umask(parseInt('177', 8));
+    try {
+        server.listen(path, function() {
+            fs.chmodSync(path, parseInt('600', 8));
+            console.log("* Admin socket listening on " + path);
+        });
+    }
+    finally {
+        process.umask(umask);
+    }
+
+    process.on('exit', function() {
+        try {
+            fs.unlinkSync(path);
+        }
+        catch (e) {
+            // ignore
+        }
+    });
+
+    return server;
+}
+
+/**
+ * Run an admin request and combine the results of all processes
+ */
+function execute(line, callback)
+{
+    var request;
+
+    try {
+        request = JSON.parse(line);
+    }
+    catch (e) {
+        callback({ ok: false, error: "Invalid request" });
+        return;
+    }
+
+    if (!request || !COMMANDS[request.command]) {
+        callback({ ok: false, error: "Unknown command " + (request && request.command) });
+        return;
+    }
+
+    ipc.broadcast(COMMANDS[request.command], request, function(results) {
+        var list = [], errors = [];
+
+        results.forEach(function(item) {
+            if (item.error) {
+                errors.push(item.error);
+            }
+            else {
+                list = list.concat(item.result || []);
+            }
+        });
+
+        if (errors.length && !list.length) {
+            callback({ ok: false, error: errors.join("; ") });
+        }
+        else {
+            callback({ ok: true, result: list });
+        }
+    });
+}
+
+
+exports.listen = listen;
@@ -0,0 +1,104 @@
+/**
+ * Matching of client sessions by network, user and client software
+ *
+ * This file is part of the IMAProxy package by Kolab
+ *
+ * @author Thomas Bruederli <thomas@roundcube.net>
+ *
+ * Copyright (C) 2014, Thomas Bruederli, Bern, Switzerland
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, either version 3 of the
+ * License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+"use strict";
+
+var net = require('net'),
+    imap = require('./imap.js');
+
+/**
+ * Create a list of addresses and networks for matchNetwork()
+ *
+ * Uses net.BlockList which requires node.js 15 or later.
+ *
+ * @param mixed Address or network (e.g. "10.0.0.0/8") or a list of them
+ * @return object net.BlockList instance
+ */
+function blockList(list)
+{
+    var addresses = new net.BlockList();
+
+    [].concat(list).forEach(function(item) {
+        var parts = String(item).split('/'), type = net.isIPv6(parts[0]) ? 'ipv6' : 'ipv4';
+        if (parts.length > 1) {
+            addresses.addSubnet(parts[0], parseInt(parts[1], 10), type);
+        }
+        else {
+            addresses.addAddress(parts[0], type);
+        }
+    });
+
+    return addresses;
+}
+
+/**
+ * Check whether the given address is in the list created by blockList()
+ */
+function matchNetwork(list, address)
+{
+    return !!address && list.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Check whether the given user is in the list of user names or "@domain" entries
+ *
+ * @param array  List of lower-case user names or domains
+ * @param string User name
+ * @return boolean
+ */
+function matchUser(list, user)
+{
+    user = user ? String(user).toLowerCase() : null;
+
+    return !!user && list.some(function(item) {
+        return item === user || (item[0] === '@' && user.substr(-item.length) === item);
+    });
+}
+
+/**
+ * Get the client software from the client's ID command, e.g. ID ("name" "Kontact" "version" "5.2")
+ *
+ * @param mixed ID command
+ * @return string Client name and version, e.g. "Kontact 5.2"
+ */
+function parseClientId(data)
+{
+    var i, name = '', version = '', params = imap.tokenizeData(data.toString(), 3)[2];
+
+    for (i=0; Array.isArray(params) && i < params.length - 1; i += 2) {
+        if (String(params[i]).toLowerCase() === 'name') {
+            name = params[i + 1] || '';
+        }
+        else if (String(params[i]).toLowerCase() === 'version') {
+            version = params[i + 1] || '';
+        }
+    }
+
+    return (name + ' ' + version).trim();
+}
+
+
+exports.blockList = blockList;
+exports.matchNetwork = matchNetwork;
+exports.matchUser = matchUser;
+exports.parseClientId = parseClientId;
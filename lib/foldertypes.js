@@ -0,0 +1,254 @@
+/**
+ * Kolab folder types of the user's mailboxes
+ *
+ * This file is part of the IMAProxy package by Kolab
+ *
+ * @author Thomas Bruederli <thomas@roundcube.net>
+ *
+ * Copyright (C) 2014, Thomas Bruederli, Bern, Switzerland
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, either version 3 of the
+ * License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+"use strict";
+
+var imap = require('./imap.js');
+
+var TYPE_ANNOTATION = "/vendor/kolab/folder-type";
+var TYPE_METADATA_PRIV = "/private/vendor/kolab/folder-type";
+var TYPE_METADATA_SHARED = "/shared/vendor/kolab/folder-type";
+var KEY_PREFIX = 'foldertypes:';
+
+// commands changing the folder types
+var INVALIDATE_COMMANDS = [ 'CREATE', 'RENAME', 'DELETE', 'SETANNOTATION', 'SETMETADATA' ];
+
+/**
+ * Reads the /vendor/kolab/folder-type annotations (e.g. "mail.sentitems" or "event.default")
+ * using METADATA or ANNOTATEMORE, whichever the server supports.
+ *
+ * The folder types are cached per user in the shared store for folder_types_cache_ttl
+ * seconds and reset when a session creates, renames or deletes folders or changes their types.
+ *
+ * @param object IMAProxy instance
+ */
+function FolderTypes(proxy)
+{
+    var metadata = {};
+    var fetching = {};
+
+    // public methods
+    this.supported = supported;
+    this.get = get;
+    this.load = load;
+    this.invalidate = invalidate;
+
+    proxy.use('server', 'OK', serverResult);
+    proxy.clientEmitter.on('__DISCONNECT__', clientDisconnect);
+
+    function cacheTtl()
+    {
+        return proxy.config.folder_types_cache_ttl === undefined ? 300 : proxy.config.folder_types_cache_ttl;
+    }
+
+    /**
+     * Key of the user's folder types in the shared store (null if not cached)
+     */
+    function cacheKey(state)
+    {
+        var user = state.authzid || state.user;
+        return cacheTtl() && user ? KEY_PREFIX + String(user).toLowerCase() : null;
+    }
+
+    /**
+     * Check whether the server of the given session provides folder types
+     */
+    function supported(state)
+    {
+        return !!(state.capabilities['METADATA'] || state.capabilities['ANNOTATEMORE']);
+    }
+
+    /**
+     * Get the folder types already known for the given session
+     *
+     * With the shared cache, the types are kept in memory for no longer than
+     * folder_types_cache_ttl, as other sessions may change the user's folders.
+     *
+     * @return object Hash of mailbox name => folder type or null if they need to be loaded
+     */
+    function get(state)
+    {
+        var entry = metadata[state.ID];
+        return entry && entry.expires > Date.now() ? entry.types : null;
+    }
+
+    /**
+     * Fetch the folder types of all mailboxes of the given session
+     *
+     * The types are read from the shared cache if possible and fetched
+     * from the server otherwise.
+     *
+     * @param object   Connection state
+     * @param function Callback function(types) with a hash of mailbox name => folder type
+     */
+    function load(state, callback)
+    {
+        var id = state.ID, key = cacheKey(state);
+
+        if (fetching[id]) {
+            fetching[id].push(callback);
+            return;
+        }
+
+        fetching[id] = [ callback ];
+
+        var done = function(types) {
+            var callbacks = fetching[id] || [];
+
+            delete fetching[id];
+
+            // store folder types in global (per-connection) memory for subsequent requests (e.g. XLIST + LSUB)
+            if (state.isConnected) {
+                metadata[id] = { types: types, expires: key ? Date.now() + cacheTtl() * 1000 : Infinity };
+            }
+
+            callbacks.forEach(function(cb) { cb(types); });
+        };
+
+        if (!key) {
+            fetch(state, done);
+            return;
+        }
+
+        proxy.shared.get(key, function(err, types) {
+            if (types) {
+                done(types);
+                return;
+            }
+
+            fetch(state, function(types, failed) {
+                if (!failed) {
+                    proxy.shared.set(key, types, cacheTtl());
+                }
+                done(types);
+            });
+        });
+    }
+
+    /**
+     * Fetch folder types from the server
+     *
+     * @param object   Connection state
+     * @param function Callback function(types, failed)
+     */
+    function fetch(state, callback)
+    {
+        if (state.capabilities['METADATA']) {
+            fetchMetadata(state, callback);
+        }
+        else {
+            fetchAnnotations(state, callback);
+        }
+    }
+
+    /**
+     * Read folder types from RFC 5464 METADATA entries (private before shared)
+     */
+    function fetchMetadata(state, callback)
+    {
+        proxy.command(state, 'GETMETADATA "*" (' + TYPE_METADATA_PRIV + ' ' + TYPE_METADATA_SHARED + ')', function(err, response) {
+            var i, j, rec, values, types = {}, priv = {}, shared = {};
+
+            if (!err) {
+                for (i=0; i < response.lines.length; i++) {
+                    rec = imap.tokenizeData(response.lines[i], 4);
+                    values = rec[3] || [];
+
+                    if (rec[1] !== 'METADATA') {
+                        continue;
+                    }
+
+                    // entries may be returned in one or several responses per folder
+                    for (j=0; j < values.length - 1; j += 2) {
+                        if (values[j + 1] && String(values[j]).toLowerCase() === TYPE_METADATA_PRIV) {
+                            priv[rec[2]] = values[j + 1];
+                        }
+                        else if (values[j + 1] && String(values[j]).toLowerCase() === TYPE_METADATA_SHARED) {
+                            shared[rec[2]] = values[j + 1];
+                        }
+                    }
+                }
+
+                Object.keys(shared).concat(Object.keys(priv)).forEach(function(mbox) {
+                    types[mbox] = priv[mbox] || shared[mbox];
+                });
+            }
+
+            callback(types, !!err);
+        });
+    }
+
+    /**
+     * Read folder types from ANNOTATEMORE annotations
+     */
+    function fetchAnnotations(state, callback)
+    {
+        proxy.command(state, 'GETANNOTATION "*" "' + TYPE_ANNOTATION + '" ("value.priv" "value.shared")', function(err, response) {
+            var i, ann, values, types = {};
+
+            if (!err) {
+                for (i=0; i < response.lines.length; i++) {
+                    ann = imap.tokenizeData(response.lines[i], 5);
+                    values = ann[4] || [];
+
+                    if (ann[1] === 'ANNOTATION' && ann[3] === TYPE_ANNOTATION && values.length && (values[1] || values[3])) {
+                        types[ann[2]] = values[1] || values[3];
+                    }
+                }
+            }
+
+            callback(types, !!err);
+        });
+    }
+
+    /**
+     * Forget the cached folder types of the given session's user
+     */
+    function invalidate(state)
+    {
+        var key = cacheKey(state);
+
+        delete metadata[state.ID];
+        if (key) {
+            proxy.shared.del(key);
+        }
+    }
+
+    /**
+     * Middleware handler for tagged OK responses
+     */
+    function serverResult(event, data)
+    {
+        // folders were changed, fetch the folder types again next time
+        if (event.request && INVALIDATE_COMMANDS.indexOf(event.request.command) >= 0) {
+            invalidate(event.state);
+        }
+    }
+
+    function clientDisconnect(event)
+    {
+        delete metadata[event.state.ID];
+    }
+}
+
+module.exports = FolderTypes;
@@ -0,0 +1,234 @@
+/**
+ * Streaming IMAP protocol framer
+ *
+ * This file is part of the IMAProxy package by Kolab
+ *
+ * @author Thomas Bruederli <thomas@roundcube.net>
+ *
+ * Copyright (C) 2014, Thomas Bruederli, Bern, Switzerland
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, either version 3 of the
+ * License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+"use strict";
+
+var util = require("util"),
+    events = require("events");
+
+var LITERAL_REGEX = /\{(\d+)(\+)?\}\r?\n$/;
+var EMPTY = Buffer.alloc(0);
+
+/**
+ * Splits a stream of IMAP data into complete commands or responses
+ *
+ * Emits a 'message' event with a Buffer holding a full command/response
+ * including all of its literals and a 'literal' event when a synchronizing
+ * literal was announced and the sender waits for a continuation request.
+ *
+ * If limits are set with limit(), a 'limit' event is emitted with 'message'
+ * and the beginning of the message when a literal makes the message too large
+ * (the message is dropped and the data of a non-synchronizing literal is skipped)
+ * or with 'line' and the beginning of the line when a line is too long
+ * (the framer stops until reset()).
+ */
+function IMAPFramer()
+{
+    var parts = [],         // buffers of the current message
+        line = [],          // buffers of the current (incomplete) line
+        lineSize = 0,       // length of the current line
+        literal = 0,        // number of literal bytes still to read
+        size = 0,           // length of the current message
+        maxLine = 0,        // max. length of a line (0 = unlimited)
+        maxSize = 0,        // max. length of a message including its literals (0 = unlimited)
+        discard = false,    // skip the rest of a refused message
+        stopped = false,    // a line exceeded the limit
+        chunk = null,       // data currently processed
+        pos = 0,            // read position in chunk
+        self = this;
+
+    events.EventEmitter.call(this);
+
+    // public methods
+    this.push = push;
+    this.rest = rest;
+    this.reset = reset;
+    this.limit = limit;
+
+    /**
+     * Feed the framer with data read from the socket
+     */
+    function push(data)
+    {
+        var lf, len, match, buffer;
+
+        chunk = stopped ? null : data;
+        pos = 0;
+
+        while (chunk && pos < chunk.length) {
+            // collect literal data
+            if (literal > 0) {
+                len = Math.min(literal, chunk.length - pos);
+                if (!discard) {
+                    parts.push(chunk.slice(pos, pos + len));
+                }
+                literal -= len;
+                pos += len;
+                continue;
+            }
+
+            lf = chunk.indexOf(10, pos);
+            lineSize += (lf < 0 ? chunk.length : lf + 1) - pos;
+
+            if (maxLine && lineSize > maxLine) {
+                line.push(chunk.slice(pos, lf < 0 ? chunk.length : lf + 1));
+                buffer = Buffer.concat(line);
+                reset();
+                stopped = true;
+                self.emit('limit', 'line', buffer.slice(0, 1024));
+                break;
+            }
+
+            // incomplete line, wait for more data
+            if (lf < 0) {
+                line.push(chunk.slice(pos));
+                break;
+            }
+
+            line.push(chunk.slice(pos, lf + 1));
+            pos = lf + 1;
+            buffer = line.length > 1 ? Buffer.concat(line) : line[0];
+            line = [];
+            lineSize = 0;
+
+            if (!discard) {
+                parts.push(buffer);
+                size += buffer.length;
+            }
+
+            // line announces a literal: continue with reading its data
+            if ((match = buffer.toString('binary', Math.max(0, buffer.length - 24)).match(LITERAL_REGEX))) {
+                literal = parseInt(match[1], 10);
+
+                // the sender of a refused message doesn't get a continuation request and ends it here
+                if (discard && !match[2]) {
+                    discard = false;
+                    literal = 0;
+                }
+                // drop the message, but skip the data of a non-synchronizing literal
+                else if (!discard && maxSize && size + literal > maxSize) {
+                    buffer = parts[0];
+                    parts = [];
+                    size = 0;
+                    discard = !!match[2];
+                    literal = discard ? literal : 0;
+                    self.emit('limit', 'message', buffer.slice(0, 1024));
+                }
+                else if (!discard) {
+                    size += literal;
+                    if (!match[2]) {
+                        self.emit('literal', literal);
+                    }
+                }
+                continue;
+            }
+
+            // the refused message is complete
+            if (discard) {
+                discard = false;
+                continue;
+            }
+
+            // message complete
+            buffer = parts.length > 1 ? Buffer.concat(parts) : parts[0];
+            parts = [];
+            size = 0;
+            self.emit('message', buffer);
+        }
+    }
+
+    /**
+     * Stop processing the current data chunk and return the remaining bytes.
+     *
+     * To be called from a 'message' handler when the encoding of the stream
+     * changes after this message (e.g. STARTTLS or COMPRESS).
+     */
+    function rest()
+    {
+        var data = chunk ? chunk.slice(pos) : EMPTY;
+        chunk = null;
+        pos = 0;
+        return data;
+    }
+
+    /**
+     * Discard all buffered data, e.g. when the underlying connection is replaced
+     */
+    function reset()
+    {
+        parts = [];
+        line = [];
+        lineSize = 0;
+        literal = 0;
+        size = 0;
+        discard = false;
+        stopped = false;
+        chunk = null;
+        pos = 0;
+    }
+
+    /**
+     * Set the max. length of a line and of a message including its literals (in bytes, 0 = unlimited)
+     */
+    function limit(lineLimit, sizeLimit)
+    {
+        maxLine = lineLimit || 0;
+        maxSize = sizeLimit || 0;
+    }
+}
+
+util.inherits(IMAPFramer, events.EventEmitter);
+
+
+/**
+ * Split a complete IMAP command into the parts to be sent separately
+ * because the receiver has to request every synchronizing literal with
+ * a continuation response.
+ *
+ * @param Buffer The complete command
+ * @return array List of Buffers
+ */
+IMAPFramer.segments = function(data)
+{
+    var lf, match, result = [], start = 0, pos = 0;
+
+    while (pos < data.length && (lf = data.indexOf(10, pos)) >= 0) {
+        match = data.toString('binary', Math.max(pos, lf - 24), lf + 1).match(LITERAL_REGEX);
+        pos = lf + 1;
+        if (match) {
+            if (!match[2]) {
+                result.push(data.slice(start, pos));
+                start = pos;
+            }
+            pos += parseInt(match[1], 10);
+        }
+    }
+
+    if (start < data.length) {
+        result.push(data.slice(start));
+    }
+
+    return result;
+};
+
+module.exports = IMAPFramer;
@@ -34,8 +34,8 @@ function tokenizeData(str, num, ret)
     var bytes, pos, epos, len, r, result = [];
 
     while (!num || result.length < num) {
-        // remove spaces from the beginning of the string
-        str = String(str).replace(/^ +/, '');
+        // remove spaces and line breaks from the beginning of the string
+        str = String(str).replace(/^[ \r\n]+/, '');
 
         switch (str[0]) {
 
@@ -71,8 +71,7 @@ function tokenizeData(str, num, ret)
             if (str[pos] !== '"') {
                 // error
             }
-            // TODO: we need to strip slashes for a quoted string
-            result.push(str.substr(1, pos - 1));
+            result.push(str.substr(1, pos - 1).replace(/\\(["\\])/g, '$1'));
             str = str.substr(pos + 1);
             break;
 
@@ -92,6 +91,9 @@ function tokenizeData(str, num, ret)
         default:
             // empty string
             if (str === '' || str === null) {
+                if (ret) {
+                    ret.str = '';
+                }
                 return result;
             }
 
@@ -101,6 +103,10 @@ function tokenizeData(str, num, ret)
                 result.push(RegExp.$1 === 'NIL' ? null : RegExp.$1);
                 str = str.substr(RegExp.$1.length);
             }
+            else {
+                // skip invalid char
+                str = str.substr(1);
+            }
             break;
         }
     }
@@ -150,6 +156,140 @@ function explodeQuotedString(str, delimiter)
 }
 
 
+/**
+ * Find the positions of the top-level tokens in the given string
+ *
+ * @param string Command or response line (binary string)
+ * @param int    Max. number of tokens to find
+ * @return array List of { start, end, value } with value as returned by tokenizeData()
+ */
+function tokenOffsets(str, num)
+{
+    var start, pos = 0, result = [];
+
+    str = String(str);
+
+    while (!num || result.length < num) {
+        while (str[pos] === ' ' || str[pos] === "\r" || str[pos] === "\n") {
+            pos++;
+        }
+
+        if (pos >= str.length) {
+            break;
+        }
+
+        start = pos;
+        pos = skipToken(str, pos);
+        result.push({ start: start, end: pos, value: tokenizeData(str.substring(start, pos), 1) });
+    }
+
+    return result;
+}
+
+/**
+ * Get the position after the token starting at the given position
+ */
+function skipToken(str, pos)
+{
+    var m;
+
+    switch (str[pos]) {
+    // String literal
+    case '{':
+        if ((m = str.substr(pos, 24).match(/^\{(\d+)\+?\}\r\n/))) {
+            return Math.min(str.length, pos + m[0].length + parseInt(m[1], 10));
+        }
+        return pos + 1;
+
+    // Quoted string
+    case '"':
+        for (pos++; pos < str.length && str[pos] !== '"'; pos++) {
+            if (str[pos] === "\\") {
+                pos++;
+            }
+        }
+        return pos + 1;
+
+    // Parenthesized list
+    case '(':
+        for (pos++; pos < str.length && str[pos] !== ')'; ) {
+            if (str[pos] === ' ' || str[pos] === "\r" || str[pos] === "\n") {
+                pos++;
+            }
+            else {
+                pos = skipToken(str, pos);
+            }
+        }
+        return pos + 1;
+
+    // Atom, number, NIL
+    default:
+        m = str.substr(pos, 1024).match(/^[^\x00-\x20\x29\x7F]+/);
+        return pos + (m ? m[0].length : 1);
+    }
+}
+
+/**
+ * Format a string as IMAP quoted string or as literal if it contains 8-bit or control characters
+ *
+ * @param string  Binary string
+ * @param boolean Allow 8-bit characters in quoted strings (UTF8=ACCEPT)
+ * @return string
+ */
+function formatString(str, utf8)
+{
+    str = String(str);
+
+    if (str.match(utf8 ? /^[^\x00-\x1F\x7F]*$/ : /^[\x20-\x7E]*$/)) {
+        return '"' + str.replace(/(["\\])/g, "\\$1") + '"';
+    }
+
+    return '{' + str.length + "}\r\n" + str;
+}
+
+/**
+ * Encode a mailbox name in modified UTF-7 (RFC 3501, 5.1.3)
+ */
+function encodeUTF7(str)
+{
+    return String(str).replace(/&/g, '&-').replace(/[^\x20-\x7E]+/g, function(chunk) {
+        var b64 = Buffer.from(chunk, 'utf16le').swap16().toString('base64');
+        return '&' + b64.replace(/=+$/, '').replace(/\//g, ',') + '-';
+    });
+}
+
+/**
+ * Decode a mailbox name from modified UTF-7
+ *
+ * Invalid sequences are left as they are or, in strict mode, make this return null.
+ */
+function decodeUTF7(str, strict)
+{
+    var valid = true;
+
+    str = String(str).replace(/&([^-]*)(-?)/g, function(match, b64, end) {
+        var data = Buffer.from(b64.replace(/,/g, '/'), 'base64');
+
+        if (b64 === '' && end) {
+            return '&';
+        }
+
+        if (!end || !/^[A-Za-z0-9+,]+$/.test(b64) || data.length % 2) {
+            valid = false;
+            return match;
+        }
+
+        return data.swap16().toString('utf16le');
+    });
+
+    return valid || !strict ? str : null;
+}
+
+
 exports.parseResponse = parseResponse;
 exports.tokenizeData = tokenizeData;
 exports.explodeQuotedString = explodeQuotedString;
+exports.tokenOffsets = tokenOffsets;
+exports.formatString = formatString;
+exports.encodeUTF7 = encodeUTF7;
+exports.decodeUTF7 = decodeUTF7;
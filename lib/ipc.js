@@ -0,0 +1,194 @@
+/**
+ * Request/response messaging between the cluster workers and the master process
+ *
+ * This file is part of the IMAProxy package by Kolab
+ *
+ * @author Thomas Bruederli <thomas@roundcube.net>
+ *
+ * Copyright (C) 2014, Thomas Bruederli, Bern, Switzerland
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, either version 3 of the
+ * License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+"use strict";
+
+var cluster = require("cluster");
+
+var REQUEST_TIMEOUT = 5000;
+var REQ_COUNT = 0;
+
+var handlers = {};
+var pending = {};
+
+/**
+ * Register the handler for the given request type
+ *
+ * Requests are handled by the master, broadcasts by every worker.
+ *
+ * @param string   Request type
+ * @param function Handler function(payload, callback, worker) calling callback(err, result)
+ */
+function handle(type, handler)
+{
+    handlers[type] = handler;
+}
+
+/**
+ * Send a request to the master process
+ *
+ * Requests are processed locally if the proxy runs in single-process mode.
+ *
+ * @param string   Request type
+ * @param mixed    Request payload (JSON serializable)
+ * @param function Callback function(err, result)
+ */
+function request(type, payload, callback)
+{
+    var id;
+
+    callback = callback || function() {};
+
+    if (!cluster.isWorker) {
+        process.nextTick(function() {
+            dispatch(type, payload, null, callback);
+        });
+        return;
+    }
+
+    id = ++REQ_COUNT;
+    pending[id] = {
+        callback: callback,
+        timer: setTimeout(function() {
+            delete pending[id];
+            callback(new Error("IPC request " + type + " timed out"));
+        }, REQUEST_TIMEOUT)
+    };
+
+    process.send({ imaproxy: 'request', id: id, type: type, payload: payload });
+}
+
+/**
+ * Send a request to all worker processes (to be called in the master process)
+ *
+ * The request is processed locally if the proxy runs in single-process mode.
+ *
+ * @param string   Request type
+ * @param mixed    Request payload (JSON serializable)
+ * @param function Callback function(results) with a list of { worker, error, result }
+ *                 for every worker that responded in time
+ */
+function broadcast(type, payload, callback)
+{
+    var id, item, workers = Object.keys(cluster.workers || {}).map(function(wid) {
+        return cluster.workers[wid];
+    }).filter(function(worker) {
+        return worker.isConnected();
+    });
+
+    callback = callback || function() {};
+
+    if (!cluster.isMaster || !workers.length) {
+        process.nextTick(function() {
+            dispatch(type, payload, null, function(err, result) {
+                callback([ { worker: null, error: err ? err.message : null, result: result } ]);
+            });
+        });
+        return;
+    }
+
+    id = ++REQ_COUNT;
+    item = pending[id] = {
+        results: [],
+        waiting: workers.length,
+        callback: callback,
+        timer: setTimeout(function() {
+            delete pending[id];
+            callback(item.results);
+        }, REQUEST_TIMEOUT)
+    };
+
+    workers.forEach(function(worker) {
+        worker.send({ imaproxy: 'broadcast', id: id, type: type, payload: payload });
+    });
+}
+
+function dispatch(type, payload, worker, callback)
+{
+    if (!handlers[type]) {
+        callback(new Error("Unknown IPC request " + type));
+        return;
+    }
+
+    try {
+        handlers[type](payload, callback, worker);
+    }
+    catch (e) {
+        callback(e);
+    }
+}
+
+/**
+ * Process requests sent by the workers (to be called in the master process)
+ */
+function listen()
+{
+    cluster.on('message', function(worker, msg) {
+        var item;
+
+        // a worker's response to a broadcast
+        if (msg && msg.imaproxy === 'broadcast-response' && (item = pending[msg.id])) {
+            item.results.push({ worker: worker.id, error: msg.error, result: msg.result });
+            if (--item.waiting <= 0) {
+                delete pending[msg.id];
+                clearTimeout(item.timer);
+                item.callback(item.results);
+            }
+            return;
+        }
+
+        if (!msg || msg.imaproxy !== 'request') {
+            return;
+        }
+
+        dispatch(msg.type, msg.payload, worker, function(err, result) {
+            if (worker.isConnected()) {
+                worker.send({ imaproxy: 'response', id: msg.id, error: err ? err.message : null, result: result });
+            }
+        });
+    });
+}
+
+// receive responses and broadcasts from the master
+if (cluster.isWorker) {
+    process.on('message', function(msg) {
+        var item;
+
+        if (msg && msg.imaproxy === 'response' && (item = pending[msg.id])) {
+            delete pending[msg.id];
+            clearTimeout(item.timer);
+            item.callback(msg.error ? new Error(msg.error) : null, msg.result);
+        }
+        else if (msg && msg.imaproxy === 'broadcast') {
+            dispatch(msg.type, msg.payload, null, function(err, result) {
+                process.send({ imaproxy: 'broadcast-response', id: msg.id, error: err ? err.message : null, result: result });
+            });
+        }
+    });
+}
+
+
+exports.handle = handle;
+exports.request = request;
+exports.broadcast = broadcast;
+exports.listen = listen;
@@ -0,0 +1,165 @@
+/**
+ * Log file with size-based rotation
+ *
+ * This file is part of the IMAProxy package by Kolab
+ *
+ * @author Thomas Bruederli <thomas@roundcube.net>
+ *
+ * Copyright (C) 2014, Thomas Bruederli, Bern, Switzerland
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, either version 3 of the
+ * License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+"use strict";
+
+var fs = require("fs");
+
+/**
+ * Append-only log file
+ *
+ * The file is renamed to <path>.1 when it exceeds maxSize bytes,
+ * older files are shifted up to <path>.<maxFiles>.
+ *
+ * The size is tracked in memory from the bytes written; the file is only
+ * checked on disk when it is opened or rotated. Lines written meanwhile are queued.
+ *
+ * @param string File path
+ * @param int    Max. file size in bytes (0 = no rotation)
+ * @param int    Number of rotated files to keep
+ */
+function LogFile(path, maxSize, maxFiles)
+{
+    var stream = null, size = 0, queue = null, closed = false;
+
+    // public methods
+    this.write = write;
+    this.close = close;
+    this.path = path;
+
+    /**
+     * Open the file and write the queued lines
+     */
+    function open()
+    {
+        queue = queue || [];
+
+        fs.stat(path, function(err, stat) {
+            var lines = queue;
+
+            size = err ? 0 : stat.size;
+            queue = null;
+
+            stream = fs.createWriteStream(path, { flags: 'a' });
+            stream.on('error', function(e) {
+                console.error("* Failed to write log file " + path, e);
+            });
+
+            lines.forEach(write);
+
+            if (closed) {
+                close();
+            }
+        });
+    }
+
+    function rotate()
+    {
+        var prev = stream;
+
+        stream = null;
+        queue = [];
+
+        prev.end(function() {
+            fs.stat(path, function(err, stat) {
+                // another process may have rotated the file already
+                if (err || stat.size < size) {
+                    return open();
+                }
+
+                shift(maxFiles - 1, function() {
+                    var done = function(err) {
+                        if (err) {
+                            console.error("* Failed to rotate log file " + path, err);
+                        }
+                        open();
+                    };
+
+                    if (maxFiles > 0) {
+                        fs.rename(path, path + '.1', done);
+                    }
+                    else {
+                        fs.unlink(path, done);
+                    }
+                });
+            });
+        });
+    }
+
+    /**
+     * Rename <path>.<i> to <path>.<i+1> down to <path>.1
+     */
+    function shift(i, callback)
+    {
+        if (i <= 0) {
+            return callback();
+        }
+
+        fs.rename(path + '.' + i, path + '.' + (i + 1), function() {
+            shift(i - 1, callback);
+        });
+    }
+
+    /**
+     * Append a line to the file
+     */
+    function write(line)
+    {
+        var len = Buffer.byteLength(line);
+
+        closed = false;
+
+        // the file is being opened or rotated
+        if (queue) {
+            queue.push(line);
+            return;
+        }
+
+        if (!stream) {
+            queue = [ line ];
+            open();
+            return;
+        }
+
+        if (maxSize && size > 0 && size + len > maxSize) {
+            rotate();
+            queue.push(line);
+            return;
+        }
+
+        size += len;
+        stream.write(line);
+    }
+
+    function close()
+    {
+        closed = true;
+
+        if (stream) {
+            stream.end();
+            stream = null;
+        }
+    }
+}
+
+module.exports = LogFile;
@@ -0,0 +1,316 @@
+/**
+ * Metrics collection and export in the Prometheus text format
+ *
+ * This file is part of the IMAProxy package by Kolab
+ *
+ * @author Thomas Bruederli <thomas@roundcube.net>
+ *
+ * Copyright (C) 2014, Thomas Bruederli, Bern, Switzerland
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, either version 3 of the
+ * License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+"use strict";
+
+var http = require("http"),
+    cluster = require("cluster");
+
+var COLLECT_TIMEOUT = 2000;
+var REPORT_INTERVAL = 15000;
+var REQ_COUNT = 0;
+var DEFAULT_BUCKETS = [ 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60 ];
+
+// metrics of this process (name => { type, help, buckets, values: { labels => value } })
+var registry = {};
+
+// the master's copy of the workers' metrics
+var workerMetrics = {};
+var retired = {};
+var pending = {};
+
+/**
+ * Declare a metric
+ *
+ * @param string Metric name, e.g. imaproxy_connections_total
+ * @param string Metric type: 'counter', 'gauge' or 'histogram'
+ * @param string Help text
+ * @param array  Histogram buckets (optional)
+ */
+function define(name, type, help, buckets)
+{
+    if (!registry[name]) {
+        registry[name] = { type: type, help: help, buckets: type === 'histogram' ? buckets || DEFAULT_BUCKETS : null, values: {} };
+    }
+}
+
+/**
+ * Increment a counter or gauge
+ *
+ * @param string Metric name
+ * @param object Label values (optional)
+ * @param number Amount to add (default: 1)
+ */
+function inc(name, labels, value)
+{
+    var metric = registry[name], key = labelString(labels);
+
+    if (metric) {
+        metric.values[key] = (metric.values[key] || 0) + (value === undefined ? 1 : value);
+    }
+}
+
+/**
+ * Record a value (e.g. a duration in seconds) in a histogram
+ */
+function observe(name, labels, value)
+{
+    var i, metric = registry[name], key = labelString(labels), item;
+
+    if (!metric) {
+        return;
+    }
+
+    if (!(item = metric.values[key])) {
+        item = metric.values[key] = { buckets: metric.buckets.map(function() { return 0; }), sum: 0, count: 0 };
+    }
+
+    for (i = 0; i < metric.buckets.length; i++) {
+        if (value <= metric.buckets[i]) {
+            item.buckets[i]++;
+        }
+    }
+
+    item.sum += value;
+    item.count++;
+}
+
+function labelString(labels)
+{
+    return Object.keys(labels || {}).sort().map(function(name) {
+        return name + '="' + String(labels[name]).replace(/[\\"]/g, '\\$&').replace(/\n/g, '\\n') + '"';
+    }).join(',');
+}
+
+/**
+ * Add the values of the given metrics to the target (counters and histograms only if noGauges is set)
+ */
+function merge(target, metrics, noGauges)
+{
+    var name, key, metric, into, value;
+
+    for (name in metrics) {
+        metric = metrics[name];
+        if (noGauges && metric.type === 'gauge') {
+            continue;
+        }
+
+        into = target[name] || (target[name] = { type: metric.type, help: metric.help, buckets: metric.buckets, values: {} });
+
+        for (key in metric.values) {
+            value = metric.values[key];
+            if (metric.type !== 'histogram') {
+                into.values[key] = (into.values[key] || 0) + value;
+            }
+            else if (!into.values[key]) {
+                into.values[key] = JSON.parse(JSON.stringify(value));
+            }
+            else {
+                into.values[key].buckets = into.values[key].buckets.map(function(n, i) { return n + value.buckets[i]; });
+                into.values[key].sum += value.sum;
+                into.values[key].count += value.count;
+            }
+        }
+    }
+
+    return target;
+}
+
+/**
+ * Render the given metrics in the Prometheus text format
+ */
+function format(metrics)
+{
+    var out = [];
+
+    Object.keys(metrics).sort().forEach(function(name) {
+        var metric = metrics[name];
+
+        out.push("# HELP " + name + " " + metric.help);
+        out.push("# TYPE " + name + " " + metric.type);
+
+        Object.keys(metric.values).sort().forEach(function(key) {
+            var value = metric.values[key], sep = key ? ',' : '';
+
+            if (metric.type !== 'histogram') {
+                out.push(name + (key ? '{' + key + '}' : '') + " " + value);
+                return;
+            }
+
+            metric.buckets.forEach(function(le, i) {
+                out.push(name + '_bucket{' + key + sep + 'le="' + le + '"} ' + value.buckets[i]);
+            });
+            out.push(name + '_bucket{' + key + sep + 'le="+Inf"} ' + value.count);
+            out.push(name + '_sum' + (key ? '{' + key + '}' : '') + " " + value.sum);
+            out.push(name + '_count' + (key ? '{' + key + '}' : '') + " " + value.count);
+        });
+    });
+
+    return out.join("\n") + "\n";
+}
+
+/**
+ * Collect the metrics of all worker processes (master only)
+ *
+ * Workers not responding in time are represented by their last known values.
+ */
+function collect(callback)
+{
+    var id = ++REQ_COUNT, waiting = Object.keys(cluster.workers || {}), timer;
+
+    function done() {
+        var wid, result = merge({}, registry);
+
+        clearTimeout(timer);
+        delete pending[id];
+
+        merge(result, retired);
+        for (wid in workerMetrics) {
+            merge(result, workerMetrics[wid]);
+        }
+
+        callback(result);
+    }
+
+    if (!cluster.isMaster || !waiting.length) {
+        return done();
+    }
+
+    pending[id] = function(worker) {
+        waiting = waiting.filter(function(wid) { return String(wid) !== String(worker.id); });
+        if (!waiting.length) {
+            done();
+        }
+    };
+
+    timer = setTimeout(done, COLLECT_TIMEOUT);
+
+    waiting.forEach(function(wid) {
+        var worker = cluster.workers[wid];
+        if (worker && worker.isConnected()) {
+            worker.send({ imaproxy: 'metrics', id: id });
+        }
+    });
+}
+
+/**
+ * Start the HTTP listener serving the metrics
+ *
+ * @param int    Port number
+ * @param string Address to listen on (default: 127.0.0.1)
+ */
+function listen(port, host)
+{
+    var server;
+
+    if (cluster.isMaster) {
+        cluster.on('message', function(worker, msg) {
+            if (msg && msg.imaproxy === 'metrics' && msg.metrics) {
+                workerMetrics[worker.id] = msg.metrics;
+                if (pending[msg.id]) {
+                    pending[msg.id](worker);
+                }
+            }
+        });
+
+        // keep the counters of terminated workers, thus the totals never decrease
+        cluster.on('exit', function(worker) {
+            if (workerMetrics[worker.id]) {
+                merge(retired, workerMetrics[worker.id], true);
+                delete workerMetrics[worker.id];
+            }
+        });
+    }
+
+    server = http.createServer(function(req, res) {
+        if (req.method !== 'GET' || req.url.split('?')[0] !== '/metrics') {
+            res.writeHead(404, { 'Content-Type': 'text/plain' });
+            res.end("Not found\n");
+            return;
+        }
+
+        collect(function(metrics) {
+            res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4' });
+            res.end(format(metrics));
+        });
+    });
+
+    server.on('error', function(e) {
+        console.error("* Metrics listener failed", e);
+    });
+
+    server.listen(port, host || '127.0.0.1', function() {
+        console.log("* Metrics are available on http://" + (host || '127.0.0.1') + ":" + port + "/metrics");
+    });
+
+    return server;
+}
+
+/**
+ * Send this worker's metrics to the master without being asked
+ *
+ * Called periodically and before the worker exits, so the master
+ * retains the final counters of workers that are replaced or crash.
+ *
+ * @param function Callback invoked when the metrics were sent
+ */
+function report(callback)
+{
+    if (cluster.isWorker && process.connected) {
+        process.send({ imaproxy: 'metrics', id: null, metrics: registry }, function() {
+            callback && callback();
+        });
+    }
+    else if (callback) {
+        callback();
+    }
+}
+
+/**
+ * Report this worker's metrics to the master at a regular interval
+ */
+function startReporting()
+{
+    if (cluster.isWorker) {
+        setInterval(report, REPORT_INTERVAL).unref();
+    }
+}
+
+// send this worker's metrics to the master on request
+if (cluster.isWorker) {
+    process.on('message', function(msg) {
+        if (msg && msg.imaproxy === 'metrics' && msg.metrics === undefined) {
+            process.send({ imaproxy: 'metrics', id: msg.id, metrics: registry });
+        }
+    });
+}
+
+
+exports.define = define;
+exports.inc = inc;
+exports.observe = observe;
+exports.collect = collect;
+exports.format = format;
+exports.listen = listen;
+exports.report = report;
+exports.startReporting = startReporting;
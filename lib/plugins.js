@@ -0,0 +1,189 @@
+/**
+ * Plugin loader
+ *
+ * This file is part of the IMAProxy package by Kolab
+ *
+ * @author Thomas Bruederli <thomas@roundcube.net>
+ *
+ * Copyright (C) 2014, Thomas Bruederli, Bern, Switzerland
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, either version 3 of the
+ * License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+"use strict";
+
+var fs = require("fs"),
+    path = require("path");
+
+var BASE_DIR = path.resolve(__dirname, '..');
+var PLUGINS_DIR = BASE_DIR + '/plugins';
+var WHITE_CCODE = '\x1b[0;37m';
+
+// plugins loaded if config.plugins is not set (the ones bundled before the list was configurable)
+var DEFAULT_PLUGINS = [ 'authguard', 'mailonly', 'zlogger' ];
+
+/**
+ * Load and initialize the plugins listed in config.plugins
+ *
+ * Every list entry is either a plugin name or an object with
+ * { name: <string>, module: <string>, options: <object> }.
+ * Names are looked up in the plugins/ directory, module paths relative to
+ * the IMAProxy directory or as installed npm modules.
+ * The authguard, mailonly and zlogger plugins are loaded if the list is not configured,
+ * other bundled plugins have to be enabled explicitly.
+ *
+ * @param object IMAProxy instance
+ * @param array  List of plugins
+ * @return array List of initialized plugin objects
+ */
+function load(proxy, list)
+{
+    var loaded = [];
+
+    if (!list) {
+        list = DEFAULT_PLUGINS;
+    }
+
+    [].concat(list).forEach(function(entry) {
+        var plugin, p, spec = typeof entry === 'string' ? { name: entry } : entry || {},
+            name = spec.name || spec.module;
+
+        try {
+            plugin = require(resolve(spec.module || spec.name));
+            p = new plugin(facade(proxy, name, spec.options || {}), spec.options || {});
+            p.init();
+            loaded.push(p);
+        }
+        catch (e) {
+            console.error("Failed to load plugin " + name, e);
+        }
+    });
+
+    return loaded;
+}
+
+/**
+ * Find the file or module to require() for the given plugin name or path
+ */
+function resolve(name)
+{
+    var file;
+
+    if (!name) {
+        throw new Error("No plugin name or module given");
+    }
+
+    // a file path relative to the IMAProxy directory
+    if (name.match(/^\.{0,2}\//)) {
+        return path.resolve(BASE_DIR, name);
+    }
+
+    // one of the bundled plugins
+    file = PLUGINS_DIR + '/' + name.replace(/\.js$/, '') + '.js';
+    if (name.indexOf('/') < 0 && fs.existsSync(file)) {
+        return file;
+    }
+
+    // an npm module
+    return name;
+}
+
+/**
+ * Create the proxy object handed to a plugin
+ *
+ * The handlers registered by the plugin are wrapped to catch and log their
+ * exceptions with the plugin's name instead of breaking the proxy's event loop.
+ */
+function facade(proxy, name, options)
+{
+    var api = Object.create(proxy);
+
+    function failed(e) {
+        console.error(WHITE_CCODE + "* Plugin " + name + " failed!", e);
+    }
+
+    function guard(handler) {
+        var wrapper = function() {
+            try {
+                return handler.apply(this, arguments);
+            }
+            catch (e) {
+                failed(e);
+            }
+        };
+
+        // allows emitter.removeListener() with the original function
+        wrapper.listener = handler;
+        return wrapper;
+    }
+
+    function emitter(target) {
+        var wrapped = {
+            on: function(event, handler) {
+                target.on(event, guard(handler));
+                return wrapped;
+            },
+            once: function(event, handler) {
+                target.once(event, guard(handler));
+                return wrapped;
+            },
+            removeListener: function(event, handler) {
+                target.removeListener(event, handler);
+                return wrapped;
+            },
+            emit: function() {
+                return target.emit.apply(target, arguments);
+            },
+            listenerCount: function(event) {
+                return target.listenerCount(event);
+            }
+        };
+
+        wrapped.addListener = wrapped.on;
+        wrapped.off = wrapped.removeListener;
+
+        return wrapped;
+    }
+
+    api.name = name;
+    api.options = options;
+    api.clientEmitter = emitter(proxy.clientEmitter);
+    api.serverEmitter = emitter(proxy.serverEmitter);
+
+    api.use = function(direction, command, handler) {
+        proxy.use(direction, command, function(event, data) {
+            var ret;
+
+            try {
+                ret = handler(event, data);
+            }
+            catch (e) {
+                failed(e);
+                return;
+            }
+
+            // a rejected promise lets the data pass unchanged
+            if (ret && typeof ret.then === 'function') {
+                return ret.then(null, failed);
+            }
+
+            return ret;
+        });
+    };
+
+    return api;
+}
+
+
+exports.load = load;
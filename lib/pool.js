@@ -0,0 +1,211 @@
+/**
+ * Pool of equivalent IMAP servers
+ *
+ * This file is part of the IMAProxy package by Kolab
+ *
+ * @author Thomas Bruederli <thomas@roundcube.net>
+ *
+ * Copyright (C) 2014, Thomas Bruederli, Bern, Switzerland
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, either version 3 of the
+ * License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+"use strict";
+
+var net = require("net"),
+    tls = require("tls"),
+    proxyproto = require("./proxyproto.js"),
+    Router = require("./router.js");
+
+/**
+ * Distributes connections across a list of IMAP servers
+ *
+ * Servers are selected round-robin or by the least number of connections
+ * (config.backend_balance). Servers failing to connect or not sending an
+ * IMAP greeting to the periodic health probes are skipped until they recover.
+ *
+ * @param mixed  Server URL or list of server URLs
+ * @param object Proxy configuration
+ */
+function Pool(servers, config)
+{
+    var members = [], next = 0, timer = null,
+        timeout = (config.backend_timeout || 10) * 1000;
+
+    // public methods
+    this.select = select;
+    this.release = release;
+    this.failed = failed;
+    this.start = start;
+    this.stop = stop;
+    this.members = members;
+
+    [].concat(servers).forEach(function(str) {
+        members.push({ server: Router.parseServer(str), name: String(str), healthy: true, connections: 0 });
+    });
+
+    /**
+     * Select a server for a new connection
+     *
+     * @param array  Members already tried for this connection
+     * @return object Pool member with the parsed server URL in member.server
+     *                or null if no server is left
+     */
+    function select(tried)
+    {
+        var i, member, candidates = members.filter(function(m) {
+            return (tried || []).indexOf(m) < 0;
+        });
+
+        // prefer servers that passed the last health check
+        if (candidates.some(function(m) { return m.healthy; })) {
+            candidates = candidates.filter(function(m) { return m.healthy; });
+        }
+
+        if (!candidates.length) {
+            return null;
+        }
+
+        if (config.backend_balance === 'leastconn') {
+            member = candidates.reduce(function(a, b) {
+                return b.connections < a.connections ? b : a;
+            });
+        }
+        else {
+            for (i = 0; i < members.length; i++) {
+                member = members[(next + i) % members.length];
+                if (candidates.indexOf(member) >= 0) {
+                    next = (next + i + 1) % members.length;
+                    break;
+                }
+            }
+        }
+
+        member.connections++;
+        return member;
+    }
+
+    /**
+     * Release a connection previously assigned with select()
+     */
+    function release(member)
+    {
+        member.connections = Math.max(0, member.connections - 1);
+    }
+
+    /**
+     * Mark a server as not available after a failed connection
+     */
+    function failed(member)
+    {
+        release(member);
+        setHealth(member, false);
+    }
+
+    function setHealth(member, healthy)
+    {
+        if (member.healthy !== healthy) {
+            console.warn("* IMAP server " + member.name + " is " + (healthy ? "available again" : "not available"));
+        }
+        member.healthy = healthy;
+    }
+
+    /**
+     * Connect to the given server and wait for its greeting
+     *
+     * The probe sends a PROXY protocol header with its own address if the
+     * server expects one (forward_client_ip).
+     */
+    function probe(member)
+    {
+        var socket, stream, done = false, buffer = '', server = member.server,
+            proxyVersion = config.forward_client_ip === 'proxy-v2' ? 2 : (config.forward_client_ip === 'proxy-v1' ? 1 : 0);
+
+        function result(healthy) {
+            if (!done) {
+                done = true;
+                setHealth(member, healthy);
+                stream.destroy();
+                socket.destroy();
+            }
+        }
+
+        function ondata(data) {
+            buffer += data.toString();
+            if (done || buffer.indexOf("\n") < 0) {
+                return;
+            }
+
+            // log out politely from a healthy server
+            if (buffer.match(/^\* (OK|PREAUTH)/i)) {
+                done = true;
+                setHealth(member, true);
+                stream.end("probe LOGOUT\r\n");
+            }
+            else {
+                result(false);
+            }
+        }
+
+        stream = socket = net.connect(server.port, server.hostname, function() {
+            if (proxyVersion) {
+                socket.write(proxyproto.header(proxyVersion, {
+                    address: socket.localAddress,
+                    port: socket.localPort,
+                    localAddress: socket.remoteAddress,
+                    localPort: socket.remotePort
+                }));
+            }
+
+            if (server.protocol === 'tls:' || server.protocol === 'ssl:') {
+                stream = tls.connect({ socket: socket, servername: net.isIP(server.hostname) ? undefined : server.hostname, rejectUnauthorized: !config.tls_nocheck_certs });
+                stream.on("error", function() { result(false); });
+                stream.on("data", ondata);
+            }
+            else {
+                socket.on("data", ondata);
+            }
+        });
+
+        socket.setTimeout(timeout);
+        socket.on("timeout", function() { result(false); });
+        socket.on("error", function() { result(false); });
+        socket.on("close", function() { result(false); });
+    }
+
+    /**
+     * Start the periodic health checks
+     */
+    function start()
+    {
+        var interval = config.backend_check_interval === undefined ? 30 : config.backend_check_interval;
+
+        if (interval && !timer) {
+            timer = setInterval(function() {
+                members.forEach(probe);
+            }, interval * 1000);
+            timer.unref();
+        }
+    }
+
+    function stop()
+    {
+        if (timer) {
+            clearInterval(timer);
+            timer = null;
+        }
+    }
+}
+
+module.exports = Pool;
@@ -0,0 +1,278 @@
+/**
+ * HAProxy PROXY protocol (version 1 and 2) support
+ *
+ * This file is part of the IMAProxy package by Kolab
+ *
+ * @author Thomas Bruederli <thomas@roundcube.net>
+ *
+ * Copyright (C) 2014, Thomas Bruederli, Bern, Switzerland
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, either version 3 of the
+ * License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+"use strict";
+
+var net = require("net");
+
+var V2_SIGNATURE = Buffer.from([ 0x0D, 0x0A, 0x0D, 0x0A, 0x00, 0x0D, 0x0A, 0x51, 0x55, 0x49, 0x54, 0x0A ]);
+var V1_MAX_LENGTH = 107;
+var HEADER_TIMEOUT = 10000;
+
+/**
+ * Parse a PROXY protocol header at the beginning of the given data
+ *
+ * @param Buffer Data received from the connection
+ * @return object Connection info with the header length and the original
+ *                address, port, localAddress and localPort (null for LOCAL connections)
+ *                or null if more data is needed
+ * @throws Error if the data doesn't start with a valid header
+ */
+function parse(data)
+{
+    var eol, tokens, len, fam, info;
+
+    // version 2, binary format
+    if (data[0] === 0x0D) {
+        if (data.length < 16) {
+            checkPrefix(data, V2_SIGNATURE);
+            return null;
+        }
+        if (!data.slice(0, 12).equals(V2_SIGNATURE) || (data[12] & 0xF0) !== 0x20) {
+            throw new Error("Invalid PROXY protocol v2 signature");
+        }
+
+        len = 16 + data.readUInt16BE(14);
+        if (data.length < len) {
+            return null;
+        }
+
+        info = { length: len, address: null, port: null, localAddress: null, localPort: null };
+        fam = data[13] >> 4;
+
+        // LOCAL command or unspecified address family: keep the connection's addresses
+        if ((data[12] & 0x0F) === 0) {
+            return info;
+        }
+
+        if (fam === 1 && len >= 28) {
+            info.address = Array.prototype.join.call(data.slice(16, 20), '.');
+            info.localAddress = Array.prototype.join.call(data.slice(20, 24), '.');
+            info.port = data.readUInt16BE(24);
+            info.localPort = data.readUInt16BE(26);
+        }
+        else if (fam === 2 && len >= 52) {
+            info.address = ipv6(data.slice(16, 32));
+            info.localAddress = ipv6(data.slice(32, 48));
+            info.port = data.readUInt16BE(48);
+            info.localPort = data.readUInt16BE(50);
+        }
+
+        return info;
+    }
+
+    // version 1, text format
+    if ((eol = data.indexOf("\r\n")) < 0) {
+        if (data.length >= V1_MAX_LENGTH) {
+            throw new Error("PROXY protocol header too long");
+        }
+        checkPrefix(data, Buffer.from("PROXY "));
+        return null;
+    }
+
+    tokens = data.toString('ascii', 0, eol).split(' ');
+    if (tokens[0] !== 'PROXY' || eol > V1_MAX_LENGTH) {
+        throw new Error("Invalid PROXY protocol header");
+    }
+
+    info = { length: eol + 2, address: null, port: null, localAddress: null, localPort: null };
+
+    if (tokens[1] === 'TCP4' || tokens[1] === 'TCP6') {
+        if (tokens.length !== 6 || !net.isIP(tokens[2]) || !net.isIP(tokens[3])) {
+            throw new Error("Invalid PROXY protocol header");
+        }
+        info.address = tokens[2];
+        info.localAddress = tokens[3];
+        info.port = parseInt(tokens[4], 10);
+        info.localPort = parseInt(tokens[5], 10);
+    }
+    else if (tokens[1] !== 'UNKNOWN') {
+        throw new Error("Unsupported PROXY protocol family " + tokens[1]);
+    }
+
+    return info;
+}
+
+/**
+ * Read the PROXY protocol header from a newly accepted socket
+ *
+ * Data following the header is put back into the socket's read buffer.
+ *
+ * @param object   net.Socket
+ * @param function Callback function(err, info) with the result of parse()
+ */
+function accept(socket, callback)
+{
+    var buffer = Buffer.alloc(0), done = false;
+
+    function finish(err, info) {
+        if (done) {
+            return;
+        }
+
+        done = true;
+        socket.removeListener('readable', onreadable);
+        socket.removeListener('error', finish);
+        socket.removeListener('end', onend);
+        socket.removeListener('timeout', ontimeout);
+        socket.setTimeout(0);
+
+        if (!err && buffer.length > info.length) {
+            socket.unshift(buffer.slice(info.length));
+        }
+
+        callback(err, info);
+    }
+
+    function onreadable() {
+        var chunk, info;
+
+        while (!done && (chunk = socket.read()) !== null) {
+            buffer = Buffer.concat([ buffer, chunk ]);
+            try {
+                if ((info = parse(buffer))) {
+                    finish(null, info);
+                }
+            }
+            catch (e) {
+                finish(e);
+            }
+        }
+    }
+
+    function onend() {
+        finish(new Error("Connection closed"));
+    }
+
+    function ontimeout() {
+        finish(new Error("Timeout reading PROXY protocol header"));
+    }
+
+    socket.setTimeout(HEADER_TIMEOUT);
+    socket.on('readable', onreadable);
+    socket.on('error', finish);
+    socket.on('end', onend);
+    socket.on('timeout', ontimeout);
+}
+
+/**
+ * Build a PROXY protocol header
+ *
+ * @param int    Protocol version (1 or 2)
+ * @param object Connection info with address, port, localAddress and localPort
+ * @return Buffer
+ */
+function header(version, info)
+{
+    var data, src = plainAddress(info.address), dst = plainAddress(info.localAddress),
+        v6 = net.isIPv6(src) || net.isIPv6(dst);
+
+    // both addresses must be of the same family
+    if (v6) {
+        src = net.isIPv4(src) ? '::ffff:' + src : src;
+        dst = net.isIPv4(dst) ? '::ffff:' + dst : dst;
+    }
+
+    if (!net.isIP(src) || !net.isIP(dst)) {
+        return version === 2 ? Buffer.concat([ V2_SIGNATURE, Buffer.from([ 0x20, 0x00, 0x00, 0x00 ]) ]) : Buffer.from("PROXY UNKNOWN\r\n");
+    }
+
+    if (version !== 2) {
+        return Buffer.from(["PROXY", v6 ? "TCP6" : "TCP4", src, dst, info.port, info.localPort].join(' ') + "\r\n");
+    }
+
+    data = Buffer.alloc(v6 ? 52 : 28);
+    V2_SIGNATURE.copy(data);
+    data[12] = 0x21;  // version 2, PROXY command
+    data[13] = v6 ? 0x21 : 0x11;  // TCP over IPv6 or IPv4
+    data.writeUInt16BE(data.length - 16, 14);
+
+    if (v6) {
+        ipv6Bytes(src).copy(data, 16);
+        ipv6Bytes(dst).copy(data, 32);
+        data.writeUInt16BE(info.port, 48);
+        data.writeUInt16BE(info.localPort, 50);
+    }
+    else {
+        Buffer.from(src.split('.').map(Number)).copy(data, 16);
+        Buffer.from(dst.split('.').map(Number)).copy(data, 20);
+        data.writeUInt16BE(info.port, 24);
+        data.writeUInt16BE(info.localPort, 26);
+    }
+
+    return data;
+}
+
+/**
+ * Strip the prefix of IPv4-mapped IPv6 addresses
+ */
+function plainAddress(address)
+{
+    return String(address || '').replace(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i, '$1');
+}
+
+function checkPrefix(data, prefix)
+{
+    var len = Math.min(data.length, prefix.length);
+    if (!data.slice(0, len).equals(prefix.slice(0, len))) {
+        throw new Error("Invalid PROXY protocol header");
+    }
+}
+
+function ipv6(bytes)
+{
+    var i, groups = [];
+    for (i = 0; i < 16; i += 2) {
+        groups.push(bytes.readUInt16BE(i).toString(16));
+    }
+    return groups.join(':');
+}
+
+function ipv6Bytes(address)
+{
+    var i, data = Buffer.alloc(16), parts = address.split('::'),
+        head = parts[0] ? parts[0].split(':') : [],
+        tail = parts.length > 1 && parts[1] ? parts[1].split(':') : [],
+        last = tail.length ? tail : head;
+
+    // embedded IPv4 address, e.g. ::ffff:192.0.2.1
+    if (last.length && net.isIPv4(last[last.length - 1])) {
+        i = last.pop().split('.').map(Number);
+        last.push(((i[0] << 8) | i[1]).toString(16), ((i[2] << 8) | i[3]).toString(16));
+    }
+
+    for (i = 0; i < head.length; i++) {
+        data.writeUInt16BE(parseInt(head[i], 16), i * 2);
+    }
+    for (i = 0; i < tail.length; i++) {
+        data.writeUInt16BE(parseInt(tail[i], 16), 16 - (tail.length - i) * 2);
+    }
+
+    return data;
+}
+
+
+exports.parse = parse;
+exports.accept = accept;
+exports.header = header;
+exports.plainAddress = plainAddress;
@@ -0,0 +1,319 @@
+/**
+ * Session recorder writing the data exchanged by client, proxy and server to a file
+ *
+ * This file is part of the IMAProxy package by Kolab
+ *
+ * @author Thomas Bruederli <thomas@roundcube.net>
+ *
+ * Copyright (C) 2014, Thomas Bruederli, Bern, Switzerland
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, either version 3 of the
+ * License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+"use strict";
+
+var fs = require("fs");
+
+var MAX_BUFFER = 1000;
+var MAX_LINE = 65536;
+
+/**
+ * Records the (unencrypted and uncompressed) data of a session
+ *
+ * The recording is a file of JSON lines: a header with the session info, followed by
+ *   { t: <ms since start>, dir: "client>proxy"|"proxy>client"|"proxy>server"|"server>proxy", data: <base64> }
+ *   { t: <ms since start>, event: "starttls"|"compress-client"|"compress-server" }
+ *
+ * Passwords and SASL data are replaced with 'x' characters of the same length.
+ * Records are kept in memory until save() is called, e.g. after the login of a certain user.
+ *
+ * @param object Session info for the header
+ */
+function Recorder(info)
+{
+    var started = Date.now(), stream = null, buffer = [], discarded = false,
+        masks = { 'client>proxy': new Masker(), 'proxy>server': new Masker() };
+
+    // public methods
+    this.write = write;
+    this.event = event;
+    this.save = save;
+    this.discard = discard;
+    this.close = close;
+
+    buffer.push(JSON.stringify({ version: 1, started: new Date(started).toISOString(), session: info }));
+
+    function record(item)
+    {
+        var line = JSON.stringify(item);
+
+        if (stream) {
+            stream.write(line + "\n");
+        }
+        else if (!discarded && buffer.length < MAX_BUFFER) {
+            buffer.push(line);
+        }
+    }
+
+    /**
+     * Record data sent in the given direction
+     */
+    function write(dir, data)
+    {
+        if (discarded) {
+            return;
+        }
+
+        data = Buffer.isBuffer(data) ? Buffer.from(data) : Buffer.from(String(data));
+        if (masks[dir] && !(data = masks[dir].mask(data))) {
+            return;
+        }
+
+        record({ t: Date.now() - started, dir: dir, data: data.toString('base64') });
+    }
+
+    /**
+     * Record a change of the connection, e.g. starttls
+     */
+    function event(name)
+    {
+        if (!discarded) {
+            flush();
+            record({ t: Date.now() - started, event: name });
+        }
+    }
+
+    /**
+     * Record the incomplete lines held back for masking
+     */
+    function flush()
+    {
+        Object.keys(masks).forEach(function(dir) {
+            var data = masks[dir].flush();
+            if (data) {
+                record({ t: Date.now() - started, dir: dir, data: data.toString('base64') });
+            }
+        });
+    }
+
+    /**
+     * Write the recording to the given file
+     */
+    function save(path)
+    {
+        if (stream || discarded) {
+            return;
+        }
+
+        stream = fs.createWriteStream(path, { flags: 'a', mode: parseInt('600', 8) });
+        stream.on('error', function(e) {
+            console.error("* Failed to write recording " + path, e);
+        });
+
+        stream.write(buffer.join("\n") + "\n");
+        buffer = [];
+    }
+
+    /**
+     * Stop recording this session
+     */
+    function discard()
+    {
+        discarded = true;
+        buffer = [];
+    }
+
+    function close()
+    {
+        if (stream) {
+            flush();
+            stream.end();
+            stream = null;
+        }
+        discard();
+    }
+}
+
+/**
+ * Replaces credentials in the data sent by the client
+ *
+ * The data is masked line by line: incomplete lines are held back until the
+ * rest arrives, so that commands split across reads are masked, too.
+ */
+function Masker()
+{
+    var held = [], heldLength = 0, literal = 0, secret = false, login = null, sasl = null;
+
+    this.mask = mask;
+    this.flush = flush;
+
+    function fill(data, start, end)
+    {
+        data.fill(0x78, start, end);
+    }
+
+    /**
+     * Mask the given data
+     *
+     * @return Buffer The masked data ready for recording or null if held back
+     */
+    function mask(data)
+    {
+        var line, end, len, chunk, out = [], pos = 0;
+
+        while (pos < data.length) {
+            // literal data is passed through, a literal password is replaced
+            if (literal) {
+                len = Math.min(literal, data.length - pos);
+                chunk = Buffer.from(data.slice(pos, pos + len));
+                if (secret) {
+                    fill(chunk, 0, len);
+                }
+                out.push(chunk);
+                literal -= len;
+                pos += len;
+                continue;
+            }
+
+            end = data.indexOf(10, pos);
+            if (end < 0) {
+                held.push(data.slice(pos));
+                heldLength += data.length - pos;
+                if (heldLength > MAX_LINE) {
+                    out.push(flush());
+                }
+                break;
+            }
+
+            held.push(data.slice(pos, end + 1));
+            line = Buffer.concat(held);
+            held = [];
+            heldLength = 0;
+            pos = end + 1;
+
+            maskLine(line);
+            out.push(line);
+        }
+
+        return out.length ? Buffer.concat(out) : null;
+    }
+
+    /**
+     * Get the (masked) incomplete line held back
+     */
+    function flush()
+    {
+        var line = Buffer.concat(held);
+
+        held = [];
+        heldLength = 0;
+        maskLine(line);
+
+        return line.length ? line : null;
+    }
+
+    function maskLine(data)
+    {
+        var m, str = data.toString('binary');
+
+        // the LOGIN command continues after a literal
+        if (login !== null) {
+            maskLogin(data, str, 0);
+        }
+        // SASL responses to the server's challenges, until the client sends a new command
+        else if (sasl && (m = str.match(/^([A-Za-z0-9+\/=]*)\r?\n/))) {
+            maskSasl(data, 0, m[1], sasl);
+        }
+        // LOGIN <user> <password>
+        else if ((m = str.match(/^\S+ +LOGIN +/i))) {
+            sasl = null;
+            login = 0;
+            maskLogin(data, str, m[0].length);
+        }
+        // AUTHENTICATE <mechanism> [<initial response>]
+        else if ((m = str.match(/^(\S+ +AUTHENTICATE +(\S+))(?: +([A-Za-z0-9+\/=]+))?/i))) {
+            if (m[3]) {
+                maskSasl(data, m[0].length - m[3].length, m[3], m[2]);
+            }
+            sasl = m[2];
+        }
+        else {
+            sasl = null;
+        }
+
+        // literal announced at the end of the line, e.g. the message of APPEND
+        if (!literal && (m = str.match(/\{(\d+)\+?\}\r?\n$/))) {
+            literal = parseInt(m[1], 10);
+            secret = false;
+        }
+    }
+
+    /**
+     * Replace the password in the arguments of LOGIN starting at the given position
+     */
+    function maskLogin(data, str, pos)
+    {
+        var m, start;
+
+        while (login < 2 && (m = str.substr(pos).match(/^ *("(?:[^"\\]|\\.)*"|\{(\d+)\+?\}\r?\n|[^\s"{]+)/))) {
+            start = pos + m[0].length - m[1].length;
+            pos += m[0].length;
+
+            // the argument follows as literal
+            if (m[2] !== undefined) {
+                literal = parseInt(m[2], 10);
+                secret = login === 1;
+                login = login < 1 ? login + 1 : null;
+                return;
+            }
+
+            if (login === 1) {
+                if (m[1][0] === '"') {
+                    fill(data, start + 1, pos - 1);
+                }
+                else {
+                    fill(data, start, pos);
+                }
+            }
+
+            login++;
+        }
+
+        login = null;
+    }
+
+    /**
+     * Replace the password of SASL PLAIN (keeping the user name) or the entire SASL data
+     */
+    function maskSasl(data, pos, b64, mechanism)
+    {
+        var parts, plain;
+
+        if (String(mechanism).toUpperCase() === 'PLAIN' && b64 !== '=') {
+            parts = Buffer.from(b64, 'base64').toString('binary').split("\x00");
+            if (parts.length === 3) {
+                parts[2] = new Array(parts[2].length + 1).join('x');
+                plain = Buffer.from(Buffer.from(parts.join("\x00"), 'binary').toString('base64'));
+                if (plain.length === b64.length) {
+                    plain.copy(data, pos);
+                    return;
+                }
+            }
+        }
+
+        fill(data, pos, pos + b64.length);
+    }
+}
+
+module.exports = Recorder;
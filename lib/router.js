@@ -0,0 +1,131 @@
+/**
+ * Backend server lookup for login-based routing
+ *
+ * This file is part of the IMAProxy package by Kolab
+ *
+ * @author Thomas Bruederli <thomas@roundcube.net>
+ *
+ * Copyright (C) 2014, Thomas Bruederli, Bern, Switzerland
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, either version 3 of the
+ * License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+"use strict";
+
+var fs = require("fs"),
+    url = require("url");
+
+/**
+ * Resolves the IMAP server a user's session is routed to
+ *
+ * Uses the resolver function from config.backend_resolver if set or
+ * looks up the user in config.backend_map with the following keys:
+ *
+ *   "user@example.org" : server for a single user
+ *   "@example.org"     : server for all users of a domain
+ *   "*"                : default server
+ *
+ * config.backend_map is either an object or the path to a JSON file.
+ */
+function Router(config)
+{
+    var map = null;
+
+    // public methods
+    this.resolve = resolve;
+    this.reload = reload;
+
+    /**
+     * (Re-)load the backend map file
+     */
+    function reload()
+    {
+        if (typeof config.backend_map === 'string') {
+            map = JSON.parse(fs.readFileSync(config.backend_map, 'utf8'));
+        }
+        else {
+            map = config.backend_map || {};
+        }
+
+        // user names are matched case-insensitive
+        map = Object.keys(map).reduce(function(result, key) {
+            result[key.toLowerCase()] = map[key];
+            return result;
+        }, {});
+    }
+
+    /**
+     * Find the backend server for the given user
+     *
+     * @param string   User name as sent by the client
+     * @param function Callback function(err, server) with the server
+     *                 as parsed URL object or null if the user is unknown
+     */
+    function resolve(user, callback)
+    {
+        var server;
+
+        if (typeof config.backend_resolver === 'function') {
+            config.backend_resolver(user, function(err, server) {
+                callback(err || null, err || !server ? null : parseServer(server));
+            });
+            return;
+        }
+
+        user = String(user || '').toLowerCase();
+
+        server = map[user] ||
+            (user.indexOf('@') > 0 ? map[user.substr(user.lastIndexOf('@'))] : null) ||
+            map['*'];
+
+        process.nextTick(function() {
+            callback(null, server ? parseServer(server) : null);
+        });
+    }
+
+    reload();
+}
+
+/**
+ * Check whether login-based routing is configured
+ */
+Router.enabled = function(config)
+{
+    return !!(config.backend_map || config.backend_resolver);
+};
+
+/**
+ * Parse a server host name or URL like "ssl://imap.example.org:993"
+ *
+ * @param string Host name or URL
+ * @return object Parsed URL with hostname and port always set
+ */
+function parseServer(str)
+{
+    var server = url.parse(String(str));
+
+    // plain host names, optionally with port
+    if (!server.hostname || !String(server.protocol).match(/^(imap|tls|ssl):$/)) {
+        server = url.parse('imap://' + str);
+    }
+    if (!server.port) {
+        server.port = server.protocol === 'tls:' || server.protocol === 'ssl:' ? 993 : 143;
+    }
+
+    return server;
+}
+
+Router.parseServer = parseServer;
+
+module.exports = Router;
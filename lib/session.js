@@ -0,0 +1,322 @@
+/**
+ * IMAP session state tracking
+ *
+ * This file is part of the IMAProxy package by Kolab
+ *
+ * @author Thomas Bruederli <thomas@roundcube.net>
+ *
+ * Copyright (C) 2014, Thomas Bruederli, Bern, Switzerland
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, either version 3 of the
+ * License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+"use strict";
+
+var imap = require('./imap.js');
+
+var NOT_AUTHENTICATED = 'not authenticated',
+    AUTHENTICATED = 'authenticated',
+    SELECTED = 'selected',
+    LOGOUT = 'logout';
+
+/**
+ * Initialize the session properties of a connection state object
+ *
+ *   status       : One of 'not authenticated', 'authenticated', 'selected' or 'logout'
+ *   user         : The authenticated user name (for SASL PLAIN the authentication identity)
+ *   authzid      : The authorization identity requested with SASL PLAIN (if any)
+ *   mailbox      : Name of the selected mailbox
+ *   readonly     : True if the selected mailbox was opened read-only
+ *   enabled      : Extensions enabled with ENABLE (name => true)
+ *   capabilities : Capabilities announced by the server (name => true)
+ *   pending      : Commands sent to the server waiting for their tagged response (tag => request)
+ *   authenticating : Tag of the AUTHENTICATE command while the client sends SASL data
+ */
+function init(state)
+{
+    state.status = NOT_AUTHENTICATED;
+    state.user = null;
+    state.authzid = null;
+    state.mailbox = null;
+    state.readonly = false;
+    state.enabled = {};
+    state.capabilities = {};
+    state.pending = {};
+    state.authenticating = null;
+
+    return state;
+}
+
+/**
+ * Register a command sent to the server
+ *
+ * @param object Connection state
+ * @param object Parsed command (seq, command and optionally the time it was received)
+ * @param Buffer Command data
+ * @return object The pending request
+ */
+function command(state, cmd, data)
+{
+    var args, request = { seq: cmd.seq, command: cmd.command, time: cmd.time || Date.now() };
+
+    switch (cmd.command) {
+    case 'LOGIN':
+        args = tokenize(data, 3);
+        request.user = utf8(args[2]);
+        break;
+
+    case 'AUTHENTICATE':
+        args = tokenize(data, 4);
+        request.mechanism = String(args[2]).toUpperCase();
+        request.sasl = args[3] ? [ args[3] === '=' ? '' : args[3] ] : [];
+        break;
+
+    case 'SELECT':
+    case 'EXAMINE':
+        args = tokenize(data, 3);
+        request.mailbox = utf8(args[2]);
+        break;
+    }
+
+    state.pending[cmd.seq] = request;
+    return request;
+}
+
+/**
+ * Register continuation data sent by the client (e.g. during AUTHENTICATE)
+ */
+function continuation(state, seq, data)
+{
+    var request = state.pending[seq];
+    if (request && request.sasl) {
+        request.sasl.push(data.toString().trim());
+    }
+}
+
+/**
+ * Update the session state from a server response
+ *
+ * @param object Connection state
+ * @param object Parsed response (seq, command)
+ * @param Buffer Response data
+ * @return object The pending request if this is its tagged response
+ */
+function response(state, cmd, data)
+{
+    var request, code, line = firstLine(data);
+
+    // capabilities in a response code, e.g. * OK [CAPABILITY ...]
+    if ((code = line.match(/^\S+ (OK|PREAUTH) \[CAPABILITY ([^\]]+)\]/i))) {
+        state.capabilities = parseCapabilities(code[2]);
+    }
+
+    // untagged responses
+    if (cmd.seq === '*' || !cmd.seq) {
+        switch (cmd.command) {
+        case 'CAPABILITY':
+            state.capabilities = parseCapabilities(line.replace(/^\* CAPABILITY\s*/i, ''));
+            break;
+
+        case 'PREAUTH':
+            state.status = AUTHENTICATED;
+            break;
+
+        case 'BYE':
+            state.status = LOGOUT;
+            break;
+
+        case 'ENABLED':
+            line.replace(/^\* ENABLED\s*/i, '').split(/ +/).forEach(function(ext) {
+                if (ext) {
+                    state.enabled[ext.toUpperCase()] = true;
+                }
+            });
+            break;
+        }
+
+        return null;
+    }
+
+    // tagged response to a pending request
+    if (!(request = state.pending[cmd.seq])) {
+        return null;
+    }
+
+    delete state.pending[cmd.seq];
+    request.status = cmd.command;
+
+    switch (request.command) {
+    case 'LOGIN':
+    case 'AUTHENTICATE':
+        request.user = request.user || saslUser(request.mechanism, request.sasl);
+        request.authzid = request.authzid || saslAuthzid(request.mechanism, request.sasl);
+        if (cmd.command === 'OK') {
+            state.status = AUTHENTICATED;
+            state.user = request.user;
+            state.authzid = request.authzid || null;
+        }
+        delete request.sasl;
+        break;
+
+    case 'SELECT':
+    case 'EXAMINE':
+        // a failed SELECT closes the previously selected mailbox, too
+        if (cmd.command === 'OK') {
+            state.status = SELECTED;
+            state.mailbox = request.mailbox;
+            state.readonly = request.command === 'EXAMINE' || !!line.match(/^\S+ OK \[READ-ONLY\]/i);
+        }
+        else if (cmd.command === 'NO') {
+            state.status = AUTHENTICATED;
+            state.mailbox = null;
+            state.readonly = false;
+        }
+        break;
+
+    case 'CLOSE':
+    case 'UNSELECT':
+        if (cmd.command === 'OK') {
+            state.status = AUTHENTICATED;
+            state.mailbox = null;
+            state.readonly = false;
+        }
+        break;
+
+    case 'LOGOUT':
+        state.status = LOGOUT;
+        break;
+    }
+
+    return request;
+}
+
+/**
+ * Parse a space-separated list of capabilities
+ */
+function parseCapabilities(str)
+{
+    var caps = {};
+    str.trim().split(/ +/).forEach(function(cap) {
+        if (cap) {
+            caps[cap.toUpperCase()] = true;
+        }
+    });
+    return caps;
+}
+
+/**
+ * Get the user name from a LOGIN command or AUTHENTICATE with initial response
+ *
+ * @param object Parsed command (seq, command)
+ * @param Buffer Command data
+ * @return string User name or null if unknown
+ */
+function loginUser(cmd, data)
+{
+    var args;
+
+    if (cmd.command === 'LOGIN') {
+        args = tokenize(data, 3);
+        return args[2] ? utf8(args[2]) : null;
+    }
+
+    if (cmd.command === 'AUTHENTICATE') {
+        args = tokenize(data, 4);
+        if (args[3]) {
+            return saslUser(String(args[2]).toUpperCase(), [ args[3] === '=' ? '' : args[3] ]);
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Extract the authentication identity from the SASL data sent by the client
+ *
+ * For PLAIN this is the authcid whose password is checked, not the
+ * (freely chosen) authorization identity.
+ */
+function saslUser(mechanism, sasl)
+{
+    var str, parts;
+
+    if (!sasl || !sasl.length) {
+        return null;
+    }
+
+    str = utf8(Buffer.from(sasl[0], 'base64').toString('binary'));
+
+    switch (mechanism) {
+    case 'PLAIN':
+        // authzid \0 authcid \0 passwd
+        parts = str.split('\0');
+        return parts.length === 3 && parts[1] ? parts[1] : null;
+
+    case 'LOGIN':
+        return str || null;
+
+    case 'XOAUTH2':
+        return (parts = str.match(/^user=([^\x01]+)/)) ? parts[1] : null;
+    }
+
+    return null;
+}
+
+/**
+ * Extract the authorization identity requested with SASL PLAIN
+ *
+ * @return string The authzid or null if none or the authcid itself was requested
+ */
+function saslAuthzid(mechanism, sasl)
+{
+    var parts;
+
+    if (mechanism !== 'PLAIN' || !sasl || !sasl.length) {
+        return null;
+    }
+
+    parts = utf8(Buffer.from(sasl[0], 'base64').toString('binary')).split('\0');
+    return parts.length === 3 && parts[0] && parts[0] !== parts[1] ? parts[0] : null;
+}
+
+function tokenize(data, num)
+{
+    return imap.tokenizeData(data.toString('binary'), num);
+}
+
+function firstLine(data)
+{
+    var eol = data.indexOf(10);
+    return data.toString('utf8', 0, eol < 0 ? data.length : eol).replace(/\r$/, '');
+}
+
+function utf8(str)
+{
+    return str === null || str === undefined ? null : Buffer.from(String(str), 'binary').toString('utf8');
+}
+
+
+exports.NOT_AUTHENTICATED = NOT_AUTHENTICATED;
+exports.AUTHENTICATED = AUTHENTICATED;
+exports.SELECTED = SELECTED;
+exports.LOGOUT = LOGOUT;
+
+exports.init = init;
+exports.command = command;
+exports.continuation = continuation;
+exports.response = response;
+exports.parseCapabilities = parseCapabilities;
+exports.loginUser = loginUser;
+exports.saslUser = saslUser;
+exports.saslAuthzid = saslAuthzid;
@@ -0,0 +1,185 @@
+/**
+ * Key/value store shared by all cluster workers
+ *
+ * This file is part of the IMAProxy package by Kolab
+ *
+ * @author Thomas Bruederli <thomas@roundcube.net>
+ *
+ * Copyright (C) 2014, Thomas Bruederli, Bern, Switzerland
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, either version 3 of the
+ * License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+"use strict";
+
+var cluster = require('cluster'),
+    ipc = require('./ipc.js');
+
+var PURGE_INTERVAL = 60000;
+
+// the data lives in the master process (or the only process in single-process mode)
+var store = {};
+var gauges = {};
+var purgeTimer = null;
+
+/**
+ * Read a (non-expired) value from the store
+ */
+function read(key)
+{
+    var item = store[key];
+
+    if (item && item.expires && item.expires <= Date.now()) {
+        delete store[key];
+        item = null;
+    }
+
+    return item ? item.value : null;
+}
+
+function write(key, value, ttl)
+{
+    store[key] = { value: value, expires: ttl ? Date.now() + ttl * 1000 : 0 };
+
+    // remove expired entries from time to time
+    if (!purgeTimer) {
+        purgeTimer = setInterval(function() {
+            var key, now = Date.now();
+            for (key in store) {
+                if (store[key].expires && store[key].expires <= now) {
+                    delete store[key];
+                }
+            }
+        }, PURGE_INTERVAL);
+        purgeTimer.unref();
+    }
+}
+
+ipc.handle('shared.get', function(payload, callback) {
+    callback(null, Array.isArray(payload.key) ? payload.key.map(read) : read(payload.key));
+});
+
+ipc.handle('shared.set', function(payload, callback) {
+    write(payload.key, payload.value, payload.ttl);
+    callback(null, payload.value);
+});
+
+ipc.handle('shared.incr', function(payload, callback) {
+    var value = (parseInt(read(payload.key), 10) || 0) + 1;
+    write(payload.key, value, payload.ttl);
+    callback(null, value);
+});
+
+ipc.handle('shared.del', function(payload, callback) {
+    delete store[payload.key];
+    callback(null, true);
+});
+
+ipc.handle('shared.adjust', function(payload, callback, worker) {
+    var total = 0, key = payload.key, id = worker ? worker.id : 0,
+        gauge = gauges[key] || (gauges[key] = {});
+
+    // values are kept per worker to drop them when the worker dies
+    gauge[id] = (gauge[id] || 0) + payload.delta;
+    if (gauge[id] <= 0) {
+        delete gauge[id];
+    }
+
+    for (id in gauge) {
+        total += gauge[id];
+    }
+    if (!total) {
+        delete gauges[key];
+    }
+
+    callback(null, total);
+});
+
+// forget the gauge values of a terminated worker
+if (cluster.isMaster) {
+    cluster.on('exit', function(worker) {
+        var key;
+        for (key in gauges) {
+            delete gauges[key][worker.id];
+            if (!Object.keys(gauges[key]).length) {
+                delete gauges[key];
+            }
+        }
+    });
+}
+
+/**
+ * Get the value(s) stored for the given key or list of keys
+ *
+ * @param mixed    Key or array of keys
+ * @param function Callback function(err, value) with null for unknown keys
+ */
+function get(key, callback)
+{
+    ipc.request('shared.get', { key: key }, callback);
+}
+
+/**
+ * Store a value
+ *
+ * @param string   Key
+ * @param mixed    Value (JSON serializable)
+ * @param int      Time to live in seconds (0 = forever)
+ * @param function Callback function(err)
+ */
+function set(key, value, ttl, callback)
+{
+    ipc.request('shared.set', { key: key, value: value, ttl: ttl }, callback);
+}
+
+/**
+ * Increment a counter
+ *
+ * @param string   Key
+ * @param int      Time to live in seconds, renewed with every increment (0 = forever)
+ * @param function Callback function(err, value) with the new counter value
+ */
+function incr(key, ttl, callback)
+{
+    ipc.request('shared.incr', { key: key, ttl: ttl }, callback);
+}
+
+/**
+ * Change a gauge (e.g. the number of open connections) by the given amount
+ *
+ * The value of a gauge is the sum of the amounts added by all workers.
+ *
+ * @param string   Key
+ * @param int      Amount to add (negative to subtract, 0 to read)
+ * @param function Callback function(err, value) with the new total
+ */
+function adjust(key, delta, callback)
+{
+    ipc.request('shared.adjust', { key: key, delta: delta }, callback);
+}
+
+/**
+ * Remove a value from the store
+ */
+function del(key, callback)
+{
+    ipc.request('shared.del', { key: key }, callback);
+}
+
+
+exports.get = get;
+exports.set = set;
+exports.incr = incr;
+exports.del = del;
+exports.adjust = adjust;
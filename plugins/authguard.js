@@ -0,0 +1,252 @@
+/**
+ * Brute-force protection IMAProxy module
+ *
+ * Counts failed LOGIN and AUTHENTICATE commands per client IP and user name,
+ * delays further login attempts and temporarily blocks offenders.
+ * For SASL PLAIN, failures count for the authentication identity (authcid),
+ * not for the authorization identity the client may choose freely.
+ * The counters are shared by all worker processes.
+ *
+ * @author Thomas Bruederli <thomas@roundcube.net>
+ *
+ * Copyright (C) 2014, Thomas Bruederli, Bern, Switzerland
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, either version 3 of the
+ * License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+"use strict";
+
+var session = require('../lib/session.js');
+
+/**
+ * Brute-force protection IMAProxy plugin
+ */
+function Authguard(proxy)
+{
+    var KEY_PREFIX = 'authguard:';
+    var config = proxy.config;
+    var cancelled = {};
+
+    var period, delay, maxDelay, ipLimit, userLimit, blockTime;
+
+    // public methods
+    this.init = init;
+
+    /**
+     * Plugin init method
+     */
+    function init()
+    {
+        if (!config.auth_throttle) {
+            return;
+        }
+
+        period    = setting('auth_throttle_window', 900);
+        delay     = setting('auth_throttle_delay', 1);
+        maxDelay  = setting('auth_throttle_max_delay', 10);
+        ipLimit   = setting('auth_throttle_ip_limit', 20);
+        userLimit = setting('auth_throttle_user_limit', 10);
+        blockTime = setting('auth_throttle_block_time', 900);
+
+        proxy.use('client', 'LOGIN', clientLogin);
+        proxy.use('client', 'AUTHENTICATE', clientLogin);
+        proxy.use('client', '__DATA__', clientContinuation);
+        proxy.use('server', '*', serverCancelled);
+        proxy.serverEmitter.on('OK', serverResult);
+        proxy.serverEmitter.on('NO', serverResult);
+        proxy.clientEmitter.on('__DISCONNECT__', clientDisconnect);
+
+        proxy.metrics.define('imaproxy_authguard_blocks_total', 'counter', "Client IPs and users blocked after failed logins");
+        proxy.metrics.define('imaproxy_authguard_rejected_total', 'counter', "Logins rejected because of a block");
+    }
+
+    function setting(name, def)
+    {
+        return config[name] === undefined ? def : config[name];
+    }
+
+    /**
+     * Middleware handler for client LOGIN and AUTHENTICATE commands
+     */
+    function clientLogin(event, data)
+    {
+        var user = session.loginUser(event, data);
+
+        return new Promise(function(resolve) {
+            check(event.state, user, function(result) {
+                if (result === 'ip') {
+                    event.client.write("* BYE Too many failed login attempts\r\n");
+                    event.client.end();
+                    resolve(false);
+                }
+                else if (result === 'user') {
+                    event.client.write(event.seq + " NO [UNAVAILABLE] Too many failed login attempts, try again later\r\n");
+                    resolve(false);
+                }
+                else if (result > 0) {
+                    setTimeout(resolve, result * 1000);
+                }
+                else {
+                    resolve();
+                }
+            });
+        });
+    }
+
+    /**
+     * Middleware handler for the client's SASL response to AUTHENTICATE
+     */
+    function clientContinuation(event, data)
+    {
+        var seq, request, user, pending = event.state.pending;
+
+        // find the AUTHENTICATE command waiting for its initial response
+        for (seq in pending) {
+            if (pending[seq].command === 'AUTHENTICATE' && pending[seq].sasl && !pending[seq].sasl.length) {
+                request = pending[seq];
+                break;
+            }
+        }
+
+        if (!request || !(user = session.saslUser(request.mechanism, [ data.toString().trim() ]))) {
+            return;
+        }
+
+        return new Promise(function(resolve) {
+            check(event.state, user, function(result) {
+                // cancel the authentication, the server's response is replaced by serverCancelled()
+                if (result === 'user' || result === 'ip') {
+                    cancelled[event.state.ID] = request.seq;
+                    resolve("*\r\n");
+                }
+                else {
+                    resolve();
+                }
+            });
+        });
+    }
+
+    /**
+     * Middleware handler replacing the server's response to a cancelled AUTHENTICATE command
+     * (which should be BAD according to RFC 3501)
+     */
+    function serverCancelled(event, data)
+    {
+        if (cancelled[event.state.ID] !== event.seq) {
+            return;
+        }
+
+        delete cancelled[event.state.ID];
+
+        return event.seq + " NO [UNAVAILABLE] Too many failed login attempts, try again later\r\n";
+    }
+
+    /**
+     * Handler for tagged server responses: count failed logins
+     */
+    function serverResult(event, data)
+    {
+        var request = event.request, ip = event.state.remoteAddress, user;
+
+        if (!request || (request.command !== 'LOGIN' && request.command !== 'AUTHENTICATE')) {
+            return;
+        }
+
+        // cancelled by this plugin
+        if (cancelled[event.state.ID] === event.seq) {
+            return;
+        }
+
+        user = request.user ? String(request.user).toLowerCase() : null;
+
+        // a successful login resets the counter of the user
+        if (event.command === 'OK') {
+            if (user) {
+                proxy.shared.del(KEY_PREFIX + 'fail:user:' + user);
+            }
+            return;
+        }
+
+        count('ip', ip, ipLimit);
+        if (user) {
+            count('user', user, userLimit);
+        }
+    }
+
+    /**
+     * Increment the failure counter and block the IP or user when the limit is reached
+     */
+    function count(type, name, limit)
+    {
+        proxy.shared.incr(KEY_PREFIX + 'fail:' + type + ':' + name, period, function(err, value) {
+            if (err) {
+                console.error("Authguard failed to count login failure", err);
+            }
+            else if (limit && value >= limit) {
+                console.warn("* Authguard: blocking " + type + " " + name + " after " + value + " failed logins");
+                proxy.metrics.inc('imaproxy_authguard_blocks_total', { type: type });
+                proxy.shared.set(KEY_PREFIX + 'block:' + type + ':' + name, true, blockTime);
+                proxy.shared.del(KEY_PREFIX + 'fail:' + type + ':' + name);
+            }
+        });
+    }
+
+    /**
+     * Check the failure counters of the connection's IP and the given user
+     *
+     * @param object   Connection state
+     * @param string   User name (optional)
+     * @param function Callback function(result) with result 'ip' or 'user' if blocked
+     *                 or the number of seconds to delay the login
+     */
+    function check(state, user, callback)
+    {
+        var keys = [ 'block:ip:' + state.remoteAddress, 'fail:ip:' + state.remoteAddress ];
+
+        if (user) {
+            user = String(user).toLowerCase();
+            keys.push('block:user:' + user, 'fail:user:' + user);
+        }
+
+        proxy.shared.get(keys.map(function(key) { return KEY_PREFIX + key; }), function(err, values) {
+            if (err) {
+                console.error("Authguard failed to read login failures", err);
+                callback(0);
+                return;
+            }
+
+            if (values[0]) {
+                proxy.metrics.inc('imaproxy_authguard_rejected_total', { type: 'ip' });
+                callback('ip');
+            }
+            else if (values[2]) {
+                proxy.metrics.inc('imaproxy_authguard_rejected_total', { type: 'user' });
+                callback('user');
+            }
+            else {
+                callback(Math.min(maxDelay, delay * Math.max(values[1] || 0, values[3] || 0)));
+            }
+        });
+    }
+
+    /**
+     * Handler for client disconnect
+     */
+    function clientDisconnect(event)
+    {
+        delete cancelled[event.state.ID];
+    }
+}
+
+module.exports = Authguard;
@@ -2,7 +2,12 @@
  * Mail-folders-only IMAProxy module
  *
  * Intercepts LSUB and LIST responses and removes non-mail folders
- * from the listing after checking the /vendor/kolab/folder-type annotations.
+ * from the listing after checking the /vendor/kolab/folder-type annotations
+ * (using METADATA or ANNOTATEMORE, whichever the server supports).
+ * Commands addressing these folders by name are refused.
+ *
+ * Which folder types are visible depends on the policy (mailonly_policies) matching
+ * the client software, the user or the client's network.
  *
  * @author Thomas Bruederli <thomas@roundcube.net>
  *
@@ -24,18 +29,59 @@
 
 "use strict";
 
-var imap = require('../lib/imap.js');
+var imap = require('../lib/imap.js'),
+    session = require('../lib/session.js'),
+    clientmatch = require('../lib/clientmatch.js');
+
+// commands refused for non-mail folders with the positions of the mailbox arguments
+var MAILBOX_COMMANDS = {
+    'SELECT': [ 2 ],
+    'EXAMINE': [ 2 ],
+    'STATUS': [ 2 ],
+    'APPEND': [ 2 ],
+    'CREATE': [ 2 ],
+    'DELETE': [ 2 ],
+    'RENAME': [ 2, 3 ],
+    'SUBSCRIBE': [ 2 ],
+    'UNSUBSCRIBE': [ 2 ],
+    'GETACL': [ 2 ],
+    'SETACL': [ 2 ],
+    'DELETEACL': [ 2 ],
+    'LISTRIGHTS': [ 2 ],
+    'MYRIGHTS': [ 2 ],
+    'GETQUOTAROOT': [ 2 ],
+    'GETMETADATA': [ 2 ],
+    'SETMETADATA': [ 2 ],
+    'GETANNOTATION': [ 2 ],
+    'SETANNOTATION': [ 2 ],
+    'COPY': [ 3 ],
+    'MOVE': [ 3 ],
+    'UID COPY': [ 4 ],
+    'UID MOVE': [ 4 ]
+};
+
+// commands whose responses are filtered
+var LIST_COMMANDS = {
+    'LIST': true,
+    'LSUB': true,
+    'XLIST': true
+};
+
+// arguments naming the mailbox to be created
+var NEW_MAILBOX = {
+    'CREATE': 2,
+    'RENAME': 3
+};
 
 /**
  * Mail-folders-only IMAProxy plugin
  */
 function Mailonly(proxy)
 {
-    var TYPE_ANNOTATION = "/vendor/kolab/folder-type";
-    var listening = false;
-    var capabilities = {};
-    var metadata = [];
-    var proc = [];
+    var config = proxy.config;
+    var policies = [];
+    var clients = {};
+    var proc = {};
 
     // public methods
     this.init = init;
@@ -45,207 +91,262 @@ function Mailonly(proxy)
      */
     function init()
     {
-        proxy.clientEmitter.on('LSUB', clientList);
-        proxy.clientEmitter.on('LIST', clientList);
-        proxy.clientEmitter.on('XLIST', clientList);
+        policies = [].concat(config.mailonly_policies || []).map(compilePolicy);
+
+        proxy.clientEmitter.on('ID', clientId);
+        proxy.clientEmitter.on('__POSTDATA__', clientList);
         proxy.clientEmitter.on('__DISCONNECT__', clientDisconnect);
-        proxy.serverEmitter.on('OK', OKResponse);
-        proxy.serverEmitter.once('CAPABILITY', capabilityResponse);
+        proxy.use('server', '*', serverResponse);
+
+        Object.keys(MAILBOX_COMMANDS).forEach(function(command) {
+            proxy.use('client', command, clientMailboxCommand);
+        });
+
+        proxy.metrics.define('imaproxy_mailonly_filtered_folders_total', 'counter', "Folders hidden from LIST/LSUB responses");
+        proxy.metrics.define('imaproxy_mailonly_refused_commands_total', 'counter', "Commands refused for non-mail folders");
+    }
+
+    function enabled(state)
+    {
+        return proxy.folderTypes.supported(state) && visibleTypes(state) !== null;
     }
 
     /**
-     * Handle OK responses which might have Capabilities appended
+     * Prepare a policy from the config for matching
      */
-    function OKResponse(event, data)
+    function compilePolicy(policy)
     {
-        var response = imap.parseResponse(data);
-        if (response.lines[0].match(/\[CAPABILITY\s/)) {
-            parseCapabilities(response.lines[0].replace(/\sOK/, '').replace(/\[|\]/i, ''));
-            if (capabilities['SORT'] || capabilities['ANNOTATEMORE']) {
-                proxy.serverEmitter.removeListener('OK', OKResponse);
-            }
-        }
+        var users = [].concat(policy.users || []), groups = config.mailonly_groups || {};
+
+        // groups are lists of users defined in mailonly_groups
+        [].concat(policy.group || []).forEach(function(group) {
+            users = users.concat(groups[group] || []);
+        });
+
+        return {
+            client: policy.client ? (policy.client instanceof RegExp ? policy.client : new RegExp(policy.client, 'i')) : null,
+            users: policy.users || policy.group ? users.map(function(user) { return String(user).toLowerCase(); }) : null,
+            networks: policy.networks ? clientmatch.blockList(policy.networks) : null,
+            show: policy.show === 'all' || policy.show === '*' ? null : [].concat(policy.show || 'mail')
+        };
     }
 
     /**
-     * Handle CAPABILITY response
+     * Get the folder types visible in the given session according to the first matching policy
+     *
+     * @return array List of folder types or null if all folders are visible
      */
-    function capabilityResponse(event, data)
+    function visibleTypes(state)
     {
-        var response = imap.parseResponse(data);
+        var i, policy;
 
-        if (response.status === 'OK') {
-            parseCapabilities(response.lines[0]);
-            proxy.serverEmitter.removeListener('OK', OKResponse);
+        for (i=0; i < policies.length; i++) {
+            policy = policies[i];
+
+            if (policy.client && !(clients[state.ID] && policy.client.test(clients[state.ID]))) {
+                continue;
+            }
+
+            // users are given by name or "@domain"
+            if (policy.users && !clientmatch.matchUser(policy.users, state.user)) {
+                continue;
+            }
+
+            if (policy.networks && !clientmatch.matchNetwork(policy.networks, state.remoteAddress)) {
+                continue;
+            }
+
+            return policy.show;
         }
+
+        return [ 'mail' ];
     }
 
     /**
-     * Parse IMAP server capabilities
+     * Handler for the client's ID command
      */
-    function parseCapabilities(line)
+    function clientId(event, data)
     {
-        var c, i, caps = imap.explodeQuotedString(line, " ");
-        for (i=2; i < caps.length; i++) {
-            c = caps[i].split('=');
-            capabilities[c[0]] = c[1] || true;
-        }
+        clients[event.state.ID] = clientmatch.parseClientId(data);
     }
 
     /**
-     * Handler for client LSUB or LIST commands
+     * Handler for client LSUB, LIST or XLIST commands passed to the server
+     *
+     * Listings are only registered after the middleware accepted the command,
+     * a command refused by another plugin doesn't get a response from the server.
      */
     function clientList(event, data)
     {
-        // nothing to do here
-        if (!capabilities['ANNOTATEMORE']) {
-            proxy.clientEmitter.removeListener('LSUB', clientList);
-            proxy.clientEmitter.removeListener('LIST', clientList);
-            proxy.clientEmitter.removeListener('XLIST', clientList);
-            proxy.clientEmitter.removeListener('__DISCONNECT__', clientDisconnect);
+        var id = event.state.ID;
+
+        if (!LIST_COMMANDS[event.command] || !(event.result || event.write)) {
             return;
         }
 
-        // register new LSUB/LIST/XLIST request for this connection
-        if (!proc[event.state.ID]) {
-            proc[event.state.ID] = { buffer:'', listings:{}, pending:0 };
+        // nothing to do here
+        if (!enabled(event.state)) {
+            return;
         }
 
-        var i, req, listing, lines = data.toString().trim().split(/\r?\n/);
-        for (i=0; i < lines.length; i++) {
-            req = imap.tokenizeData(lines[i], 2);
-            listing = { seq: req[0], command: req[1], buffer: [] };
-
-            proc[event.state.ID].listings['A' + listing.seq] = listing;
-            proc[event.state.ID].pending++;
+        // register new LSUB/LIST/XLIST request for this connection
+        if (!proc[id]) {
+            proc[id] = { buffer:[], listings:{}, pending:0 };
         }
 
-        // listen to server responses
-        if (!listening) {
-            proxy.serverEmitter.on('__DATA__', serverResponse);
-            listening = true;
-        }
+        proc[id].listings[event.seq] = { seq: event.seq, command: event.command };
+        proc[id].pending++;
     }
 
     /**
-     * Handler for server responses
+     * Middleware handler for client commands with mailbox arguments
+     *
+     * Answers with NO [NONEXISTENT] (or NO [ALREADYEXISTS] for the new name
+     * of CREATE and RENAME) if a mailbox is a non-mail folder.
      */
-    function serverResponse(event, data)
+    function clientMailboxCommand(event, data)
     {
-        var req, last, response, id = event.state.ID;
+        var state = event.state, positions = MAILBOX_COMMANDS[event.command], tokens, types;
 
-        // buffering is active for this connection
-        if (req = proc[id]) {
-            event.write = false;  // don't forward to client
-
-            response = imap.parseResponse(data);
-            last = response.lines.pop();
-
-            // GETANNOTATION completed
-            if (response.seq && req.listings[response.seq]) {
-                var i, ann, values, lines = (req.buffer + data.toString()).trim().split(/\r?\n/);
-                for (i=0; i < lines.length; i++) {
-                    ann = imap.tokenizeData(lines[i], 5);
-                    values = ann[4] || [];
-
-                    if (metadata[id] === undefined) {
-                        metadata[id] = {};
-                    }
-
-                    // store folder type in global (per-connection) memory for subsequent requests (e.g. XLIST + LSUB)
-                    if (ann[1] === 'ANNOTATION' && ann[3] === TYPE_ANNOTATION && values.length) {
-                        metadata[id][ann[2]] = (values[1] || values[3] || '').replace(/\..+$/, '');
-                    }
-                }
-
-                // clear buffer
-                req.buffer = '';
-
-                // filter buffered listing and send it to client
-                sendFilteredList(id, response.seq, event);
-            }
-            else {
-                req.buffer += data.toString();
-
-                // command done
-                if (response.seq) {
-                    // pipe through unrelated results
-                    event.write = !processListing(id, response.seq, req.buffer, event);
-
-                    // send all buffered data to client
-                    if (event.write && req.buffer) {
-                        event.result = req.buffer;
-                    }
-
-                    // clear buffer
-                    req.buffer = '';
-                }
+        if (state.status === session.NOT_AUTHENTICATED || !enabled(state)) {
+            return;
+        }
+
+        // only parse the beginning of the command, e.g. not the message of APPEND
+        // (in bytes, as literals announce their length in bytes)
+        tokens = imap.tokenizeData(data.toString('binary', 0, Math.min(data.length, 4096)), Math.max.apply(Math, positions) + 2);
+
+        // GETMETADATA [(<options>)] <mailbox> <entries>
+        if (event.command === 'GETMETADATA' && Array.isArray(tokens[2])) {
+            tokens.splice(2, 1);
+        }
+
+        var check = function(types) {
+            var pos = positions.filter(function(pos) {
+                return typeof tokens[pos] === 'string' && hidden(types, visibleTypes(state), Buffer.from(tokens[pos], 'binary').toString());
+            })[0];
+
+            if (pos === undefined) {
+                return;
             }
+
+            proxy.metrics.inc('imaproxy_mailonly_refused_commands_total');
+            event.client.write(event.seq + (NEW_MAILBOX[event.command] === pos ?
+                " NO [ALREADYEXISTS] Mailbox already exists\r\n" : " NO [NONEXISTENT] Mailbox does not exist\r\n"));
+            return false;
+        };
+
+        if ((types = proxy.folderTypes.get(state))) {
+            return check(types);
         }
+
+        return new Promise(function(resolve) {
+            proxy.folderTypes.load(state, function(types) {
+                resolve(check(types));
+            });
+        });
     }
 
     /**
-     * Process the collected server response on a listing command
+     * Middleware handler for server responses
      */
-    function processListing(id, seq, buffer, event)
+    function serverResponse(event, data)
     {
-        var i, req = proc[id], listing = req.listings['A' + seq],
-            lines = buffer.trim().split(/\r?\n/);
+        var req, listing, lines, types, id = event.state.ID;
 
-        // tag doesn't match an active listing command or response is empty
-        if (!listing || lines.length < 2) {
-            listingDone(id, 'A'+seq);
+        // buffering is active for this connection
+        if (!(req = proc[id])) {
+            return;
+        }
+
+        // collect untagged responses, don't forward to client
+        if (!event.seq || event.seq === '*') {
+            req.buffer.push(data.toString().replace(/\r?\n$/, ''));
             return false;
         }
 
-        // remove response line
-        lines.pop();
+        // command done
+        lines = req.buffer;
+        req.buffer = [];
 
-        // get metadata for every mailbox name
-        for (i=0; i < lines.length; i++) {
-            listing.buffer.push(lines[i]);
+        // pipe through unrelated or failed results
+        if (!(listing = req.listings[event.seq]) || event.command !== 'OK') {
+            listingDone(id, event.seq);
+            return lines.concat([ data.toString() ]).join("\r\n");
         }
 
         // we already collected all annotations, send the (filtered) response to the client
-        if (metadata[id]) {
-            sendFilteredList(id, 'A' + seq, event);
-        }
-        else {
-            // fetch all folder annotations in one go
-            metadata[id] = {};
-            event.server.write('A' + seq + ' GETANNOTATION "*" "' + TYPE_ANNOTATION + '" ("value.priv" "value.shared")\r\n');
+        if ((types = proxy.folderTypes.get(event.state))) {
+            listingDone(id, event.seq);
+            return filterList(event.state, listing, lines, types);
         }
 
-        return true;
+        // fetch all folder annotations and send the filtered list afterwards
+        return new Promise(function(resolve) {
+            proxy.folderTypes.load(event.state, function(types) {
+                listingDone(id, listing.seq);
+                resolve(filterList(event.state, listing, lines, types));
+            });
+        });
     }
 
     /**
-     * Filter and send the buffered list for the given sequence tag
+     * Filter the buffered list and append the tagged response
      */
-    function sendFilteredList(id, seq, event)
+    function filterList(state, listing, lines, types)
     {
-        var req, listing;
-        if ((req = proc[id]) && (listing = req.listings[seq])) {
-            proxy.config.debug_log && console.log("Mailonly filter:", listing.buffer, metadata[id]);
-
-            var i, rec, mbox, type, list = [];
-            for (i=0; i < listing.buffer.length; i++) {
-                rec = imap.tokenizeData(listing.buffer[i]);
-                mbox = rec.pop();
-                type = metadata[id][mbox];
-
-                if (!type || type === 'mail' || type === 'NIL') {
-                    list.push(listing.buffer[i]);
-                }
+        var i, rec, mbox, filtered = 0, list = [], show = visibleTypes(state);
+
+        proxy.config.debug_log && console.log("Mailonly filter:", lines, types);
+
+        for (i=0; i < lines.length; i++) {
+            rec = imap.tokenizeData(lines[i], 5);
+
+            // * LIST (<flags>) <delimiter> <mailbox> [<extended data>] or * STATUS <mailbox> (<status>)
+            switch (String(rec[1]).toUpperCase()) {
+            case 'LIST':
+            case 'LSUB':
+            case 'XLIST':
+                mbox = rec[4];
+                break;
+            case 'STATUS':
+                mbox = rec[2];
+                break;
+            default:
+                mbox = null;
             }
 
-            // send filtered list as response to the client
-            event.result = list.join("\r\n")  + "\r\n" +
-                listing.seq + " OK Completed (filtered by IMAProxy)\r\n";
+            if (!hidden(types, show, mbox)) {
+                list.push(lines[i] + "\r\n");
+            }
+            else if (String(rec[1]).toUpperCase() !== 'STATUS') {
+                filtered++;
+            }
+        }
 
-            // destroy listing job
-            listingDone(id, seq);
+        proxy.metrics.inc('imaproxy_mailonly_filtered_folders_total', null, filtered);
+
+        return list.join("") + listing.seq + " OK Completed (filtered by IMAProxy)\r\n";
+    }
+
+    /**
+     * Check whether the given mailbox is not of one of the visible folder types
+     */
+    function hidden(types, show, mbox)
+    {
+        var type;
+
+        if (!show || mbox === null || mbox === undefined) {
+            return false;
         }
+
+        // folders without a type are mail folders
+        type = String(types[mbox] || 'mail').replace(/\..+$/, '');
+        if (type === 'NIL') {
+            type = 'mail';
+        }
+
+        return show.indexOf(type) < 0;
     }
 
     /**
@@ -272,9 +373,7 @@ function Mailonly(proxy)
     function clientDisconnect(event)
     {
         delete proc[event.state.ID];
-        delete metadata[event.state.ID];
-
-        // TODO: remove serverEmitter listeners if no further jobs pending
+        delete clients[event.state.ID];
     }
 
 }
@@ -0,0 +1,434 @@
+/**
+ * Virtual namespace IMAProxy module
+ *
+ * Presents the client a folder tree that differs from the one on the server
+ * by translating mailbox names in both directions according to namespace_rules,
+ * e.g. to remove the INBOX/ prefix or to move Other Users/ to another location.
+ *
+ * Mailbox names are translated in the client's commands before any other plugin
+ * sees them and in the server's responses after all other plugins processed them,
+ * thus other plugins only deal with the server's names.
+ *
+ * @author Thomas Bruederli <thomas@roundcube.net>
+ *
+ * Copyright (C) 2014, Thomas Bruederli, Bern, Switzerland
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, either version 3 of the
+ * License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+"use strict";
+
+var imap = require('../lib/imap.js'),
+    IMAPFramer = require('../lib/framer.js');
+
+// client commands with the positions of their mailbox arguments
+var MAILBOX_COMMANDS = {
+    'SELECT': [ 2 ],
+    'EXAMINE': [ 2 ],
+    'STATUS': [ 2 ],
+    'APPEND': [ 2 ],
+    'CREATE': [ 2 ],
+    'DELETE': [ 2 ],
+    'RENAME': [ 2, 3 ],
+    'SUBSCRIBE': [ 2 ],
+    'UNSUBSCRIBE': [ 2 ],
+    'GETACL': [ 2 ],
+    'SETACL': [ 2 ],
+    'DELETEACL': [ 2 ],
+    'LISTRIGHTS': [ 2 ],
+    'MYRIGHTS': [ 2 ],
+    'GETQUOTAROOT': [ 2 ],
+    'GETMETADATA': [ 2 ],
+    'SETMETADATA': [ 2 ],
+    'GETANNOTATION': [ 2 ],
+    'SETANNOTATION': [ 2 ],
+    'COPY': [ 3 ],
+    'MOVE': [ 3 ],
+    'UID COPY': [ 4 ],
+    'UID MOVE': [ 4 ]
+};
+
+// untagged server responses with the position of the mailbox name
+var MAILBOX_RESPONSES = {
+    'LIST': 4,
+    'LSUB': 4,
+    'XLIST': 4,
+    'STATUS': 2,
+    'ACL': 2,
+    'LISTRIGHTS': 2,
+    'MYRIGHTS': 2,
+    'QUOTAROOT': 2,
+    'METADATA': 2,
+    'ANNOTATION': 2
+};
+
+var RESPONSE_REGEX = /^\* +(LIST|LSUB|XLIST|STATUS|ACL|LISTRIGHTS|MYRIGHTS|QUOTAROOT|METADATA|ANNOTATION|NAMESPACE) /im;
+
+/**
+ * Virtual namespace IMAProxy plugin
+ */
+function Namespace(proxy)
+{
+    var config = proxy.config;
+    var delimiter = '/';
+    var rules = { utf7: [], utf8: [] };
+    var listings = {};
+    var hidden = {};
+
+    // public methods
+    this.init = init;
+
+    /**
+     * Plugin init method
+     */
+    function init()
+    {
+        delimiter = config.namespace_delimiter || delimiter;
+
+        [].concat(config.namespace_rules || []).forEach(function(rule) {
+            var prefix = isPrefix(rule.server) || isPrefix(rule.client);
+
+            // rule names are given in UTF-8 and compared with the names on the wire
+            rules.utf7.push(compileRule(imap.encodeUTF7(rule.server), imap.encodeUTF7(rule.client), prefix));
+            rules.utf8.push(compileRule(Buffer.from(String(rule.server)).toString('binary'), Buffer.from(String(rule.client)).toString('binary'), prefix));
+        });
+
+        if (!rules.utf7.length) {
+            return;
+        }
+
+        proxy.use('client', '*', clientCommand);
+        proxy.clientEmitter.on('__DISCONNECT__', clientDisconnect);
+        proxy.serverEmitter.on('__POSTDATA__', serverResponse);
+    }
+
+    function isPrefix(name)
+    {
+        name = String(name || '');
+        return name === '' || name.substr(-delimiter.length) === delimiter;
+    }
+
+    /**
+     * Prepare a rule for matching
+     *
+     * Prefix rules (names ending with the delimiter) map everything below the prefix,
+     * other rules map the mailbox itself and its children.
+     */
+    function compileRule(server, client, prefix)
+    {
+        if (prefix) {
+            server = server && !isPrefix(server) ? server + delimiter : server;
+            client = client && !isPrefix(client) ? client + delimiter : client;
+        }
+
+        return { server: server, client: client, prefix: prefix };
+    }
+
+    function sessionRules(state)
+    {
+        return state.enabled['UTF8=ACCEPT'] ? rules.utf8 : rules.utf7;
+    }
+
+    /**
+     * Translate a mailbox name using the rule with the longest match
+     *
+     * @param string Mailbox name (binary string as sent on the wire)
+     * @param array  Rules of the session
+     * @param string Direction of the translation: 'server' (to the client) or 'client' (to the server)
+     * @return string Translated name
+     */
+    function translate(name, list, from)
+    {
+        var i, rule, src, dst, len = -1, result = name, to = from === 'server' ? 'client' : 'server';
+
+        if (typeof name !== 'string' || name.toUpperCase() === 'INBOX') {
+            return name;
+        }
+
+        for (i=0; i < list.length; i++) {
+            rule = list[i];
+            src = rule[from];
+            dst = rule[to];
+
+            if (src.length <= len) {
+                continue;
+            }
+
+            if (rule.prefix) {
+                if (name.indexOf(src) === 0) {
+                    result = dst + name.substr(src.length);
+                    len = src.length;
+                }
+                // the prefix itself, e.g. "Other Users"
+                else if (src && dst && name === src.substr(0, src.length - delimiter.length)) {
+                    result = dst.substr(0, dst.length - delimiter.length);
+                    len = src.length;
+                }
+            }
+            else if (name === src || name.indexOf(src + delimiter) === 0) {
+                result = dst + name.substr(src.length);
+                len = src.length;
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Replace the given tokens with the translated mailbox names
+     */
+    function replaceTokens(str, tokens, state, from)
+    {
+        var list = sessionRules(state), utf8 = !!state.enabled['UTF8=ACCEPT'];
+
+        // replace from the end to keep the offsets valid
+        tokens.sort(function(a, b) { return b.start - a.start; }).forEach(function(token) {
+            var name = translate(token.value, list, from);
+            if (name !== token.value) {
+                str = str.substr(0, token.start) + imap.formatString(name, utf8) + str.substr(token.end);
+            }
+        });
+
+        return str;
+    }
+
+    /**
+     * Middleware handler for client commands
+     */
+    function clientCommand(event, data)
+    {
+        var positions = MAILBOX_COMMANDS[event.command], str, tokens;
+
+        if (event.command === 'LIST' || event.command === 'LSUB' || event.command === 'XLIST') {
+            return clientList(event, data);
+        }
+
+        if (!positions) {
+            return;
+        }
+
+        str = data.toString('binary');
+        tokens = imap.tokenOffsets(str, Math.max.apply(Math, positions) + 2);
+
+        // GETMETADATA (<options>) <mailbox> ...
+        if (event.command === 'GETMETADATA' && tokens[2] && Array.isArray(tokens[2].value)) {
+            positions = [ 3 ];
+        }
+
+        tokens = positions.map(function(pos) { return tokens[pos]; }).filter(function(token) {
+            return token && typeof token.value === 'string';
+        });
+
+        str = replaceTokens(str, tokens, event.state, 'client');
+        if (str !== data.toString('binary')) {
+            return Buffer.from(str, 'binary');
+        }
+    }
+
+    /**
+     * Handle LIST, LSUB and XLIST commands
+     *
+     * If the requested names may be affected by the rules, all mailboxes are listed
+     * and the translated names are matched against the client's patterns.
+     */
+    function clientList(event, data)
+    {
+        var state = event.state, str = data.toString('binary'), tokens = imap.tokenOffsets(str),
+            i = tokens[2] && Array.isArray(tokens[2].value) ? 3 : 2, ref = tokens[i], pattern = tokens[i + 1],
+            list = sessionRules(state), options = tokens[i + 3], patterns, affected;
+
+        if (!ref || !pattern || (typeof ref.value !== 'string' && ref.value !== null)) {
+            return;
+        }
+
+        patterns = [].concat(pattern.value).filter(function(p) { return typeof p === 'string'; }).map(function(p) {
+            return (ref.value || '') + p;
+        });
+
+        affected = patterns.some(function(p) {
+            var literal = p.replace(/[*%][^]*$/, '');
+            return list.some(function(rule) {
+                return rule.client.indexOf(literal) === 0 || literal.indexOf(rule.client) === 0;
+            });
+        });
+
+        if (!listings[state.ID]) {
+            listings[state.ID] = {};
+        }
+        listings[state.ID][event.seq] = {
+            patterns: patterns.map(patternRegex),
+            // LIST ... RETURN (STATUS (...))
+            status: String(tokens[i + 2] && tokens[i + 2].value).toUpperCase() === 'RETURN' && !!options && Array.isArray(options.value) &&
+                options.value.some(function(option) { return String(option).toUpperCase() === 'STATUS'; })
+        };
+
+        if (affected) {
+            str = str.substr(0, ref.start) + '"" "*"' + str.substr(pattern.end);
+            return Buffer.from(str, 'binary');
+        }
+    }
+
+    /**
+     * Convert a LIST pattern into a regular expression
+     */
+    function patternRegex(pattern)
+    {
+        var delim = delimiter.replace(/[\\^$.*+?()[\]{}|\/]/g, '\\$&');
+
+        pattern = normalizeInbox(pattern).replace(/[\\^$.+?()[\]{}|\/]/g, '\\$&')
+            .replace(/\*/g, '.*')
+            .replace(/%/g, '(?:(?!' + delim + ').)*');
+
+        return new RegExp('^' + pattern + '$');
+    }
+
+    // INBOX is case-insensitive
+    function normalizeInbox(name)
+    {
+        return name.substr(0, 5).toUpperCase() === 'INBOX' && (name.length === 5 || name.substr(5, delimiter.length) === delimiter)
+            ? 'INBOX' + name.substr(5) : name;
+    }
+
+    /**
+     * Handler for server responses (called after all middleware)
+     */
+    function serverResponse(event, data)
+    {
+        var id = event.state.ID, pending = listings[id], patterns = null, status = false, seq, str, out = [], framer;
+
+        if (!event.result && !event.write) {
+            return;
+        }
+
+        data = event.result || data;
+        str = data.toString('binary');
+
+        // patterns of the pending listings
+        for (seq in pending || {}) {
+            patterns = (patterns || []).concat(pending[seq].patterns);
+            status = status || pending[seq].status;
+        }
+
+        if (pending && event.seq && pending[event.seq]) {
+            delete pending[event.seq];
+            if (!Object.keys(pending).length) {
+                delete listings[id];
+                delete hidden[id];
+            }
+        }
+
+        if (!str.match(RESPONSE_REGEX)) {
+            return;
+        }
+
+        // the data may hold several responses (e.g. collected by other plugins)
+        framer = new IMAPFramer();
+        framer.on('message', function(message) {
+            out.push(serverLine(event.state, message.toString('binary'), patterns, status));
+        });
+        framer.push(Buffer.from(str, 'binary'));
+
+        str = out.join('');
+        if (str.length) {
+            event.result = Buffer.from(str, 'binary');
+        }
+        else {
+            event.result = null;
+            event.write = false;
+        }
+    }
+
+    /**
+     * Translate the mailbox names in a single server response
+     *
+     * @param object Connection state
+     * @param string Server response (binary string)
+     * @param array  Patterns of the pending listings (or null)
+     * @param bool   Whether a pending listing returns the STATUS of the mailboxes
+     * @return string Rewritten response or an empty string if it is to be dropped
+     */
+    function serverLine(state, str, patterns, status)
+    {
+        var m = str.match(/^\* +([A-Za-z]+) /), command = m ? m[1].toUpperCase() : null, pos = MAILBOX_RESPONSES[command],
+            tokens, name;
+
+        if (command === 'NAMESPACE') {
+            return serverNamespace(state, str);
+        }
+
+        if (!pos || !(tokens = imap.tokenOffsets(str, pos + 1))[pos] || typeof tokens[pos].value !== 'string') {
+            return str;
+        }
+
+        // hide mailboxes that don't match the client's LIST patterns
+        name = translate(tokens[pos].value, sessionRules(state), 'server');
+        if (patterns && (command === 'LIST' || command === 'LSUB' || command === 'XLIST')) {
+            if (!patterns.some(function(regex) { return regex.test(normalizeInbox(name)); })) {
+                // ... and the STATUS response following for LIST-STATUS
+                if (status) {
+                    hidden[state.ID] = hidden[state.ID] || {};
+                    hidden[state.ID][name] = true;
+                }
+                return '';
+            }
+        }
+        // only the STATUS responses of hidden mailboxes, not the ones of other (pipelined) commands
+        else if (command === 'STATUS' && hidden[state.ID] && hidden[state.ID][name]) {
+            delete hidden[state.ID][name];
+            return '';
+        }
+
+        return replaceTokens(str, [ tokens[pos] ], state, 'server');
+    }
+
+    /**
+     * Translate the prefixes in a NAMESPACE response
+     */
+    function serverNamespace(state, str)
+    {
+        var list = sessionRules(state), utf8 = !!state.enabled['UTF8=ACCEPT'],
+            namespaces = imap.tokenizeData(str, 5).slice(2);
+
+        var format = function(value) {
+            if (value === null || value === undefined) {
+                return 'NIL';
+            }
+            if (Array.isArray(value)) {
+                return '(' + value.map(format).join(' ') + ')';
+            }
+            return imap.formatString(value, utf8);
+        };
+
+        return '* NAMESPACE ' + namespaces.map(function(namespace) {
+            if (!Array.isArray(namespace)) {
+                return 'NIL';
+            }
+
+            return '(' + namespace.map(function(entry) {
+                return Array.isArray(entry) ? format([ translate(entry[0], list, 'server') ].concat(entry.slice(1))) : format(entry);
+            }).join('') + ')';
+        }).join(' ') + "\r\n";
+    }
+
+    /**
+     * Handler for client disconnect
+     */
+    function clientDisconnect(event)
+    {
+        delete listings[event.state.ID];
+        delete hidden[event.state.ID];
+    }
+}
+
+module.exports = Namespace;
@@ -0,0 +1,305 @@
+/**
+ * Command policy IMAProxy module
+ *
+ * Allows, denies or restricts client commands according to the rules
+ * in command_policies. Rules match on the command, the user, the client's
+ * network, the client software (from the ID command) and the mailboxes
+ * the command addresses. The first matching rule applies.
+ *
+ * Denied commands are answered with a tagged NO [NOPERM] by the proxy.
+ * The "readonly" action refuses commands modifying the matching mailboxes
+ * (APPEND, STORE, EXPUNGE, DELETE etc.) and opens them with EXAMINE instead of SELECT.
+ *
+ * @author Thomas Bruederli <thomas@roundcube.net>
+ *
+ * Copyright (C) 2014, Thomas Bruederli, Bern, Switzerland
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, either version 3 of the
+ * License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+"use strict";
+
+var imap = require('../lib/imap.js'),
+    session = require('../lib/session.js'),
+    clientmatch = require('../lib/clientmatch.js');
+
+// mailboxes addressed by the client commands: positions of the arguments read or modified
+// and whether the command reads or modifies the selected mailbox
+var COMMANDS = {
+    'SELECT': { read: [ 2 ] },
+    'EXAMINE': { read: [ 2 ] },
+    'STATUS': { read: [ 2 ] },
+    'APPEND': { write: [ 2 ] },
+    'CREATE': { write: [ 2 ] },
+    'DELETE': { write: [ 2 ] },
+    'RENAME': { write: [ 2, 3 ] },
+    'SUBSCRIBE': { write: [ 2 ] },
+    'UNSUBSCRIBE': { write: [ 2 ] },
+    'GETACL': { read: [ 2 ] },
+    'SETACL': { write: [ 2 ] },
+    'DELETEACL': { write: [ 2 ] },
+    'LISTRIGHTS': { read: [ 2 ] },
+    'MYRIGHTS': { read: [ 2 ] },
+    'GETQUOTAROOT': { read: [ 2 ] },
+    'SETMETADATA': { write: [ 2 ] },
+    'SETANNOTATION': { write: [ 2 ] },
+    'FETCH': { selected: 'read' },
+    'SEARCH': { selected: 'read' },
+    'SORT': { selected: 'read' },
+    'THREAD': { selected: 'read' },
+    'CHECK': { selected: 'read' },
+    'CLOSE': { selected: 'read' },
+    'STORE': { selected: 'write' },
+    'EXPUNGE': { selected: 'write' },
+    'COPY': { write: [ 3 ], selected: 'read' },
+    'MOVE': { write: [ 3 ], selected: 'write' }
+};
+
+var ACTIONS = [ 'allow', 'deny', 'readonly' ];
+
+/**
+ * Command policy IMAProxy plugin
+ */
+function Policy(proxy)
+{
+    var config = proxy.config;
+    var rules = [];
+    var mailboxRules = false;
+    var clients = {};
+
+    // public methods
+    this.init = init;
+
+    /**
+     * Plugin init method
+     */
+    function init()
+    {
+        rules = [].concat(config.command_policies || []).map(compileRule);
+
+        if (!rules.length) {
+            return;
+        }
+
+        // mailbox names are only parsed if rules match on them
+        mailboxRules = rules.some(function(rule) { return !!rule.mailboxes; });
+
+        proxy.clientEmitter.on('ID', clientId);
+        proxy.clientEmitter.on('__DISCONNECT__', clientDisconnect);
+        proxy.use('client', '*', clientCommand);
+
+        proxy.metrics.define('imaproxy_policy_denied_commands_total', 'counter', "Client commands refused by the command policies");
+    }
+
+    /**
+     * Prepare a rule from the config for matching
+     */
+    function compileRule(rule)
+    {
+        var action = String(rule.action || 'deny').toLowerCase();
+
+        if (ACTIONS.indexOf(action) < 0) {
+            throw new Error("Invalid command policy action " + rule.action);
+        }
+
+        return {
+            action: action,
+            message: rule.message,
+            commands: rule.command ? [].concat(rule.command).map(function(command) { return String(command).toUpperCase(); }) : null,
+            users: rule.users ? [].concat(rule.users).map(function(user) { return String(user).toLowerCase(); }) : null,
+            client: rule.client ? (rule.client instanceof RegExp ? rule.client : new RegExp(rule.client, 'i')) : null,
+            networks: rule.networks ? clientmatch.blockList(rule.networks) : null,
+            mailboxes: rule.mailbox ? [].concat(rule.mailbox).map(mailboxRegex) : null
+        };
+    }
+
+    /**
+     * Convert a mailbox name with * wildcards (e.g. "Archive/*") into a regular expression
+     */
+    function mailboxRegex(name)
+    {
+        if (name instanceof RegExp) {
+            return name;
+        }
+
+        name = String(name);
+
+        // INBOX is case-insensitive
+        if (name.match(/^INBOX$/i)) {
+            return /^INBOX$/i;
+        }
+
+        return new RegExp('^' + name.replace(/[\\^$.+?()[\]{}|]/g, '\\$&').replace(/\*/g, '.*') + '$');
+    }
+
+    /**
+     * Get the mailboxes read and modified by the given command
+     *
+     * @return object Hash with lists of (UTF-8) mailbox names in read and write
+     *               or null if a mailbox name is not valid modified UTF-7
+     */
+    function commandMailboxes(event, data)
+    {
+        var state = event.state, command = event.command.replace(/^UID /, ''),
+            spec = COMMANDS[command] || {}, offset = command !== event.command ? 1 : 0,
+            positions = (spec.read || []).concat(spec.write || []), tokens = [],
+            result = { read: [], write: [] };
+
+        var name = function(value) {
+            // mailbox names are sent in modified UTF-7 unless UTF8=ACCEPT is enabled
+            return state.enabled['UTF8=ACCEPT'] ? value : imap.decodeUTF7(value, true);
+        };
+
+        if (positions.length) {
+            // only parse the beginning of the command, e.g. not the message of APPEND
+            // (in bytes, as literals announce their length in bytes)
+            tokens = imap.tokenizeData(data.toString('binary', 0, Math.min(data.length, 4096)), Math.max.apply(Math, positions) + offset + 1);
+        }
+
+        [ 'read', 'write' ].forEach(function(type) {
+            (spec[type] || []).forEach(function(pos) {
+                if (typeof tokens[pos + offset] === 'string') {
+                    result[type].push(name(Buffer.from(tokens[pos + offset], 'binary').toString()));
+                }
+            });
+
+            if (spec.selected === type && state.status === session.SELECTED && state.mailbox !== null) {
+                result[type].push(name(state.mailbox));
+            }
+        });
+
+        return result.read.indexOf(null) < 0 && result.write.indexOf(null) < 0 ? result : null;
+    }
+
+    /**
+     * Check whether the given rule applies to the session
+     */
+    function matchSession(rule, state)
+    {
+        if (rule.client && !(clients[state.ID] && rule.client.test(clients[state.ID]))) {
+            return false;
+        }
+
+        // users are given by name or "@domain"
+        if (rule.users && !clientmatch.matchUser(rule.users, state.user)) {
+            return false;
+        }
+
+        if (rule.networks && !clientmatch.matchNetwork(rule.networks, state.remoteAddress)) {
+            return false;
+        }
+
+        return true;
+    }
+
+    function matchMailboxes(rule, list)
+    {
+        return !rule.mailboxes || list.some(function(mbox) {
+            return rule.mailboxes.some(function(regex) { return regex.test(mbox); });
+        });
+    }
+
+    /**
+     * Find the rule applying to the given command
+     */
+    function findRule(event, mailboxes)
+    {
+        var i, rule, command = event.command, all = mailboxes.read.concat(mailboxes.write);
+
+        for (i=0; i < rules.length; i++) {
+            rule = rules[i];
+
+            // "STORE" matches UID STORE, too
+            if (rule.commands && rule.commands.indexOf(command) < 0 && rule.commands.indexOf(command.replace(/^UID /, '')) < 0) {
+                continue;
+            }
+
+            if (!matchSession(rule, event.state)) {
+                continue;
+            }
+
+            if (rule.action === 'readonly') {
+                if (command === 'SELECT' ? matchMailboxes(rule, mailboxes.read) : (isWrite(command) && matchMailboxes(rule, mailboxes.write))) {
+                    return rule;
+                }
+                continue;
+            }
+
+            if (rule.mailboxes && !matchMailboxes(rule, all)) {
+                continue;
+            }
+
+            return rule;
+        }
+
+        return null;
+    }
+
+    function isWrite(command)
+    {
+        var spec = COMMANDS[command.replace(/^UID /, '')];
+        return !!spec && (!!spec.write || spec.selected === 'write');
+    }
+
+    /**
+     * Middleware handler for all client commands
+     */
+    function clientCommand(event, data)
+    {
+        var rule, mailboxes;
+
+        // continuation data
+        if (!event.seq || event.command === '__DATA__') {
+            return;
+        }
+
+        // refuse mailbox names which can't be matched against the rules
+        if (!(mailboxes = mailboxRules ? commandMailboxes(event, data) : { read: [], write: [] })) {
+            proxy.metrics.inc('imaproxy_policy_denied_commands_total', { action: 'invalid' });
+            event.client.write(event.seq + " NO [CANNOT] Invalid mailbox name\r\n");
+            return false;
+        }
+
+        if (!(rule = findRule(event, mailboxes)) || rule.action === 'allow') {
+            return;
+        }
+
+        // open read-only mailboxes with EXAMINE
+        if (rule.action === 'readonly' && event.command === 'SELECT') {
+            return Buffer.from(data.toString('binary').replace(/^(\S+ +)SELECT/i, '$1EXAMINE'), 'binary');
+        }
+
+        proxy.metrics.inc('imaproxy_policy_denied_commands_total', { action: rule.action });
+        event.client.write(event.seq + " NO [NOPERM] " + (rule.message || (rule.action === 'readonly' ? "Mailbox is read-only" : "Command not allowed")) + "\r\n");
+        return false;
+    }
+
+    /**
+     * Handler for the client's ID command
+     */
+    function clientId(event, data)
+    {
+        clients[event.state.ID] = clientmatch.parseClientId(data);
+    }
+
+    /**
+     * Handler for client disconnect
+     */
+    function clientDisconnect(event)
+    {
+        delete clients[event.state.ID];
+    }
+}
+
+module.exports = Policy;
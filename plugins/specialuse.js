@@ -0,0 +1,238 @@
+/**
+ * SPECIAL-USE IMAProxy module
+ *
+ * Adds RFC 6154 special-use flags (\Sent, \Drafts, \Trash, \Junk, \Archive)
+ * to LIST and XLIST responses based on the Kolab folder types (e.g. mail.sentitems)
+ * or the folder names configured in special_use_folders.
+ * Nothing is changed if the server supports SPECIAL-USE itself.
+ *
+ * @author Thomas Bruederli <thomas@roundcube.net>
+ *
+ * Copyright (C) 2014, Thomas Bruederli, Bern, Switzerland
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, either version 3 of the
+ * License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+"use strict";
+
+var imap = require('../lib/imap.js');
+
+// special-use flags of the Kolab folder types
+var TYPE_FLAGS = {
+    'mail.sentitems': '\\Sent',
+    'mail.drafts': '\\Drafts',
+    'mail.wastebasket': '\\Trash',
+    'mail.junkemail': '\\Junk',
+    'mail.archive': '\\Archive'
+};
+
+// flags already set by the server
+var SPECIAL_USE_REGEX = /\\(All|Archive|Drafts|Flagged|Junk|Sent|Trash|Spam|AllMail|Starred)\b/i;
+
+/**
+ * SPECIAL-USE IMAProxy plugin
+ */
+function Specialuse(proxy)
+{
+    var config = proxy.config;
+    var folders = {};
+    var listings = {};
+
+    // public methods
+    this.init = init;
+
+    /**
+     * Plugin init method
+     */
+    function init()
+    {
+        var name, map = config.special_use_folders || {};
+
+        // accept flags with or without the backslash
+        for (name in map) {
+            folders[name] = '\\' + String(map[name]).replace(/^\\+/, '');
+        }
+
+        proxy.use('client', 'LIST', clientList);
+        proxy.use('client', 'XLIST', clientList);
+        proxy.use('server', '*', serverResponse);
+        proxy.clientEmitter.on('__DISCONNECT__', clientDisconnect);
+    }
+
+    /**
+     * Middleware handler for client LIST and XLIST commands
+     *
+     * Removes the SPECIAL-USE selection and return options (the proxy selects
+     * the mailboxes itself) and loads the folder types before the command is sent.
+     * Commands are passed through if the server supports SPECIAL-USE itself.
+     */
+    function clientList(event, data)
+    {
+        var state = event.state, id = state.ID, str = data.toString(), result,
+            listing = { command: event.command, specialOnly: false, types: {} };
+
+        if (state.capabilities['SPECIAL-USE']) {
+            return;
+        }
+
+        if (event.command === 'LIST' && str.match(/SPECIAL-USE/i)) {
+            // LIST (SPECIAL-USE ...) <reference> <pattern>
+            str = str.replace(/^(\S+ +LIST +)\(([^)]*)\) */i, function(match, prefix, options) {
+                var list = options.trim().split(/ +/).filter(function(option) {
+                    return option.toUpperCase() !== 'SPECIAL-USE';
+                });
+                listing.specialOnly = list.length < options.trim().split(/ +/).length;
+                return prefix + (list.length ? '(' + list.join(' ') + ') ' : '');
+            });
+
+            // ... RETURN (SPECIAL-USE ...)
+            str = str.replace(/ +RETURN +\((.*)\)(\r?\n)$/i, function(match, options, eol) {
+                var list = options.trim().split(/ +/).filter(function(option) {
+                    return option.toUpperCase() !== 'SPECIAL-USE';
+                });
+                return (list.length ? ' RETURN (' + list.join(' ') + ')' : '') + eol;
+            });
+
+            if (str !== data.toString()) {
+                result = str;
+            }
+        }
+
+        if (!listings[id]) {
+            listings[id] = {};
+        }
+        listings[id][event.seq] = listing;
+
+        if (!proxy.folderTypes.supported(state)) {
+            return result;
+        }
+
+        if ((listing.types = proxy.folderTypes.get(state))) {
+            return result;
+        }
+
+        return new Promise(function(resolve) {
+            proxy.folderTypes.load(state, function(types) {
+                listing.types = types;
+                resolve(result);
+            });
+        });
+    }
+
+    /**
+     * Middleware handler for server responses
+     */
+    function serverResponse(event, data)
+    {
+        var id = event.state.ID, pending = listings[id], listing, str;
+
+        // announce SPECIAL-USE support unless the server does
+        if (event.command === 'CAPABILITY' || ((event.command === 'OK' || event.command === 'PREAUTH') && data.toString().match(/\[CAPABILITY\s/))) {
+            str = data.toString().replace(/(CAPABILITY)((?: +[^ \]\r\n]+)+)/, function(match, prefix, list) {
+                return list.match(/ SPECIAL-USE( |$)/i) ? match : prefix + list + ' SPECIAL-USE';
+            });
+            return str !== data.toString() ? str : undefined;
+        }
+
+        if (!pending) {
+            return;
+        }
+
+        // untagged LIST/XLIST response
+        if (event.seq === '*' && (event.command === 'LIST' || event.command === 'XLIST')) {
+            return rewriteLines(pending, data.toString());
+        }
+
+        if (!event.seq || !(listing = pending[event.seq])) {
+            return;
+        }
+
+        // responses collected by other plugins (e.g. mailonly) are sent along with the tagged response
+        delete pending[event.seq];
+        if (!Object.keys(pending).length) {
+            delete listings[id];
+        }
+
+        str = data.toString();
+        if (str.match(/^\* +X?LIST /im)) {
+            pending = {};
+            pending[event.seq] = listing;
+            return rewriteLines(pending, str);
+        }
+    }
+
+    /**
+     * Add special-use flags to the LIST/XLIST responses in the given data
+     *
+     * @param object Hash of tag => listing of the pending commands
+     * @param string Response data
+     * @return mixed Rewritten data or false if nothing is left to send
+     */
+    function rewriteLines(pending, str)
+    {
+        var seq, listing, specialOnly = true, types = {}, lines;
+
+        // untagged responses can't be attributed to a certain command
+        for (seq in pending) {
+            listing = pending[seq];
+            specialOnly = specialOnly && listing.specialOnly;
+            types = listing.types || types;
+        }
+
+        lines = str.replace(/\r?\n$/, '').split(/\r?\n/).map(function(line) {
+            var rec, mbox, flag, flags = line.match(/^\* +X?LIST +\(([^)]*)\)/i);
+
+            if (!flags) {
+                return line;
+            }
+
+            rec = imap.tokenizeData(line, 5);
+            mbox = rec[4];
+
+            if (typeof mbox === 'string' && !flags[1].match(SPECIAL_USE_REGEX)) {
+                flag = folders[mbox] || TYPE_FLAGS[String(types[mbox]).toLowerCase()];
+                if (flag) {
+                    // XLIST marks junk folders with \Spam
+                    if (flag === '\\Junk' && String(rec[1]).toUpperCase() === 'XLIST') {
+                        flag = '\\Spam';
+                    }
+                    line = line.replace(/^(\* +X?LIST +\()([^)]*)\)/i, function(match, prefix, list) {
+                        return prefix + (list.trim() ? list.trim() + ' ' : '') + flag + ')';
+                    });
+                }
+            }
+
+            // LIST (SPECIAL-USE) only returns mailboxes with special-use flags
+            if (specialOnly && !flag && !flags[1].match(SPECIAL_USE_REGEX)) {
+                return null;
+            }
+
+            return line;
+        }).filter(function(line) {
+            return line !== null;
+        });
+
+        return lines.length ? lines.join("\r\n") + "\r\n" : false;
+    }
+
+    /**
+     * Handler for client disconnect
+     */
+    function clientDisconnect(event)
+    {
+        delete listings[event.state.ID];
+    }
+}
+
+module.exports = Specialuse;
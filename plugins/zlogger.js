@@ -1,6 +1,9 @@
 /**
  * IMA payload and debug logging module
  *
+ * Writes the IMAP payload of all or selected sessions as text or JSON lines
+ * to the console or to (rotated) log files. Credentials are always redacted.
+ *
  * @author Thomas Bruederli <thomas@roundcube.net>
  *
  * Copyright (C) 2014, Thomas Bruederli, Bern, Switzerland
@@ -21,7 +24,11 @@
 
 "use strict";
 
-var cluster = require("cluster");
+var fs = require("fs"),
+    cluster = require("cluster"),
+    session = require('../lib/session.js'),
+    clientmatch = require('../lib/clientmatch.js'),
+    LogFile = require('../lib/logfile.js');
 
 /**
  * IMAP payload logging plugin
@@ -34,6 +41,14 @@ function IMAPLog(proxy)
     var WHITE_CCODE = '\x1b[0;37m';
     var DEBUG_LOG   = false;
     var DATA_LOG    = false;
+    var BUFFER_LINES = 100;
+
+    var config = proxy.config;
+    var format, dir, split, maxSize, maxFiles, literalLimit, users, addresses;
+
+    // open log files (path => { file, refs }) and the log targets of the sessions
+    var files = {};
+    var targets = {};
 
     // public methods
     this.init = init;
@@ -45,10 +60,27 @@ function IMAPLog(proxy)
     {
         PID = cluster.isWorker ? cluster.worker.id + ':' : '';
 
-        if (DEBUG_LOG || DATA_LOG) {
-            proxy.clientEmitter.on('__POSTDATA__', clientLog);
-            proxy.serverEmitter.on('__POSTDATA__', serverLog);
+        format   = config.imap_log_format === 'json' ? 'json' : 'text';
+        dir      = config.imap_log_dir || null;
+        split    = config.imap_log_split || null;
+        maxSize  = config.imap_log_max_size === undefined ? 10485760 : config.imap_log_max_size;
+        maxFiles = config.imap_log_max_files === undefined ? 5 : config.imap_log_max_files;
+        literalLimit = config.imap_log_literal_limit === undefined ? null : config.imap_log_literal_limit;
+
+        users = config.imap_log_users ? [].concat(config.imap_log_users).map(function(user) {
+            return String(user).toLowerCase();
+        }) : null;
+
+        addresses = config.imap_log_ips ? clientmatch.blockList(config.imap_log_ips) : null;
+
+        if (dir && !fs.existsSync(dir)) {
+            fs.mkdirSync(dir, { recursive: true });
         }
+
+        // payload logging can also be enabled for single sessions (state.trace)
+        proxy.clientEmitter.on('__POSTDATA__', clientLog);
+        proxy.serverEmitter.on('__POSTDATA__', serverLog);
+        proxy.clientEmitter.on('__DISCONNECT__', clientDisconnect);
     }
 
     function clientLog(event, data)
@@ -57,12 +89,12 @@ function IMAPLog(proxy)
         if (DEBUG_LOG) {
             console.log(RED_CCODE + prefix + " C: " + event.seq + " <" + event.command + ">");
         }
-        if (DATA_LOG) {
+        if (enabled(event.state)) {
             if (event.result) {
-                console.log(RED_CCODE + prefix + " C: ", event.result);
+                log(event.state, 'C', redact(event, event.result));
             }
             else if (event.write) {
-                console.log(RED_CCODE + prefix + " C: ", data.toString());
+                log(event.state, 'C', redact(event, data));
             }
         }
     }
@@ -73,23 +105,195 @@ function IMAPLog(proxy)
         if (DEBUG_LOG) {
             console.log(GREEN_CCODE + prefix + " S: " + event.seq + " <" + event.command + ">");
 
-            if (event.command === 'CAPABILITY') {
-                var str = data.toString();
-                if (str.match(/COMPRESS=DEFLATE/)) {
-                    console.log(WHITE_CCODE + prefix + " * Proxy substitution: ", str);
-                }
-            }
             if (!event.result && !event.write) {
                 console.log(WHITE_CCODE + prefix + "X: ", data.toString());
             }
         }
-        if (DATA_LOG) {
+        if (enabled(event.state)) {
             if (event.result) {
-                console.log(GREEN_CCODE + prefix + " S: ", event.result);
+                log(event.state, 'S', cutLiterals(event.result));
             }
             else if (event.write) {
-                console.log(GREEN_CCODE + prefix + " S: ", data.toString());
+                log(event.state, 'S', cutLiterals(data));
+            }
+        }
+    }
+
+    /**
+     * Check whether the payload of the given session is to be logged
+     */
+    function enabled(state)
+    {
+        if (state.trace) {
+            return true;
+        }
+
+        if (!DATA_LOG) {
+            return false;
+        }
+
+        if (addresses && !clientmatch.matchNetwork(addresses, state.remoteAddress)) {
+            return false;
+        }
+
+        // sessions are logged from the login on if restricted to certain users
+        return !users || (!!state.user && users.indexOf(String(state.user).toLowerCase()) >= 0);
+    }
+
+    /**
+     * Replace passwords and SASL data of client commands
+     */
+    function redact(event, data)
+    {
+        var user;
+
+        if (event.command === 'LOGIN') {
+            user = session.loginUser(event, data);
+            return event.seq + " LOGIN " + JSON.stringify(user || '') + " ***\r\n";
+        }
+
+        if (event.command === 'AUTHENTICATE') {
+            return String(data).replace(/^(\S+ AUTHENTICATE \S+)( .*)?\r?\n$/i, function(match, cmd, ir) {
+                return cmd + (ir ? " ***" : '') + "\r\n";
+            });
+        }
+
+        // the client's response to an authentication challenge
+        if (event.command === '__DATA__' && event.state.authenticating) {
+            return "***\r\n";
+        }
+
+        return cutLiterals(data);
+    }
+
+    /**
+     * Shorten or remove the content of literals (e.g. message bodies)
+     */
+    function cutLiterals(data)
+    {
+        var match, len, end, result = [], pos = 0, re = /\{(\d+)\+?\}\r\n/g,
+            str = Buffer.isBuffer(data) ? data.toString('binary') : Buffer.from(String(data)).toString('binary');
+
+        if (literalLimit === null) {
+            return Buffer.from(str, 'binary').toString();
+        }
+
+        while ((match = re.exec(str))) {
+            len = parseInt(match[1], 10);
+            end = re.lastIndex + Math.min(len, literalLimit);
+            result.push(str.substring(pos, end));
+            if (len > literalLimit) {
+                result.push("[... " + (len - literalLimit) + " bytes]");
+            }
+            pos = re.lastIndex = re.lastIndex + len;
+        }
+
+        result.push(str.substring(pos));
+        return Buffer.from(result.join(''), 'binary').toString();
+    }
+
+    /**
+     * Write a log entry to the console or to the session's log file
+     */
+    function log(state, from, str)
+    {
+        var line, target, prefix = "[" + PID + state.ID + "] ";
+
+        if (format === 'json') {
+            line = JSON.stringify({
+                time: new Date().toISOString(),
+                session: PID + state.ID,
+                client: state.remoteAddress + ':' + state.remotePort,
+                user: state.user,
+                from: from === 'C' ? 'client' : 'server',
+                data: str
+            });
+        }
+        else if (!dir) {
+            console.log((from === 'C' ? RED_CCODE : GREEN_CCODE) + prefix + " " + from + ": ", str);
+            return;
+        }
+        else {
+            line = new Date().toISOString() + " " + prefix + from + ": " + str.replace(/\r?\n$/, '');
+        }
+
+        if (!dir) {
+            console.log(line);
+            return;
+        }
+
+        if (!(target = targets[state.ID])) {
+            target = targets[state.ID] = { path: null, buffer: [] };
+        }
+
+        // wait for the login to know the user's log file
+        if (!target.path && split === 'user' && !state.user) {
+            if (target.buffer.length < BUFFER_LINES) {
+                target.buffer.push(line);
             }
+            return;
+        }
+
+        if (!target.path) {
+            openTarget(state, target);
+        }
+
+        files[target.path].file.write(line + "\n");
+    }
+
+    /**
+     * Open the log file for a session and write the lines buffered before the login
+     */
+    function openTarget(state, target)
+    {
+        var name = 'imap';
+
+        if (split === 'session') {
+            name = 'session-' + timestamp(state.started) + '-' + (PID + state.ID).replace(':', '-');
+        }
+        else if (split === 'user') {
+            name = 'user-' + String(state.user || 'unknown').toLowerCase().replace(/[^a-z0-9@._-]/g, '_');
+        }
+
+        target.path = dir + '/' + name + '.log';
+
+        if (!files[target.path]) {
+            files[target.path] = { file: new LogFile(target.path, maxSize, maxFiles), refs: 0 };
+        }
+
+        files[target.path].refs++;
+        target.buffer.forEach(function(line) {
+            files[target.path].file.write(line + "\n");
+        });
+        target.buffer = [];
+    }
+
+    function timestamp(time)
+    {
+        return new Date(time || Date.now()).toISOString().replace(/[^0-9]/g, '').substr(0, 14);
+    }
+
+    /**
+     * Handler for client disconnect: close the session's log file
+     */
+    function clientDisconnect(event)
+    {
+        var item, target = targets[event.state.ID];
+
+        if (!target) {
+            return;
+        }
+
+        delete targets[event.state.ID];
+
+        // log a session which never logged in
+        if (!target.path && target.buffer.length) {
+            openTarget(event.state, target);
+        }
+
+        if (target.path && (item = files[target.path]) && --item.refs <= 0) {
+            item.file.close();
+            delete files[target.path];
         }
     }
 
@@ -0,0 +1,391 @@
+/**
+ * Replay a recorded IMAP session against the proxy
+ *
+ * Usage: node replay.js [-c <config-file>] [-t <timeout-ms>] [-r] [-v] <recording>
+ *
+ * Starts an IMAProxy with the given config and a stand-in IMAP server answering
+ * with the recorded server data. The recorded client data is then sent to the proxy
+ * and the proxy's responses are compared with the ones of the recording.
+ *
+ *   -c  Config file (default: ./config.js)
+ *   -t  Time to wait for the expected data before sending the next chunk (default: 2000)
+ *   -r  Keep the recorded timing between the client's commands
+ *   -v  Print the proxy's log and responses
+ *
+ * @author Thomas Bruederli <thomas@roundcube.net>
+ *
+ * Copyright (C) 2014, Thomas Bruederli, Bern, Switzerland
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, either version 3 of the
+ * License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+"use strict";
+
+var fs = require("fs"),
+    os = require("os"),
+    net = require("net"),
+    tls = require("tls"),
+    zlib = require("zlib"),
+    path = require("path"),
+    child_process = require("child_process");
+
+var USAGE = "Usage: node replay.js [-c <config-file>] [-t <timeout-ms>] [-r] [-v] <recording>\n";
+var MAX_DIFF_LINES = 20;
+
+/**
+ * Read a recording and split it into the client's and the server's part
+ *
+ * Every chunk is annotated with the number of bytes the other side
+ * had received from the proxy before the chunk was sent.
+ */
+function load(file)
+{
+    var lines = fs.readFileSync(file, 'utf8').split("\n").filter(function(line) { return line.trim(); }),
+        rec = { header: JSON.parse(lines.shift()), client: [], server: [], expected: [] },
+        toClient = 0, toServer = 0;
+
+    lines.forEach(function(line) {
+        var item = JSON.parse(line), data = item.data ? Buffer.from(item.data, 'base64') : null;
+
+        switch (item.dir || item.event) {
+        case 'client>proxy':
+            rec.client.push({ t: item.t, sync: toClient, data: data });
+            break;
+        case 'proxy>client':
+            toClient += data.length;
+            rec.expected.push(data);
+            break;
+        case 'proxy>server':
+            toServer += data.length;
+            break;
+        case 'server>proxy':
+            rec.server.push({ t: item.t, sync: toServer, data: data });
+            break;
+        case 'starttls':
+        case 'compress-client':
+            rec.client.push({ t: item.t, sync: toClient, event: item.event });
+            break;
+        }
+    });
+
+    rec.expected = Buffer.concat(rec.expected);
+    return rec;
+}
+
+/**
+ * Send the given chunks as soon as the peer received the data it got before in the recording
+ *
+ * @param array    Chunks with sync (number of bytes) and t (recorded time)
+ * @param function Function(item, next) sending an item; returns false if it calls next() itself
+ * @param function Callback invoked after the last chunk was sent
+ */
+function play(items, send, finished)
+{
+    var i = 0, received = 0, timer = null, started = Date.now();
+
+    function step() {
+        var item;
+
+        clearTimeout(timer);
+        timer = null;
+
+        while (i < items.length) {
+            item = items[i];
+
+            // don't wait forever if the proxy's responses differ
+            if (received < item.sync) {
+                timer = setTimeout(function() {
+                    verbose && console.warn("# Timeout waiting for %d bytes, continuing", item.sync - received);
+                    received = item.sync;
+                    step();
+                }, timeout);
+                return;
+            }
+
+            if (realtime && item.t > Date.now() - started) {
+                timer = setTimeout(step, item.t - (Date.now() - started));
+                return;
+            }
+
+            i++;
+            if (send(item, step) === false) {
+                return;
+            }
+        }
+
+        if (finished) {
+            finished();
+            finished = null;
+        }
+    }
+
+    return {
+        start: step,
+        received: function(len) {
+            received += len;
+            if (!timer || received >= items[i].sync) {
+                step();
+            }
+        },
+        stop: function() {
+            clearTimeout(timer);
+            i = items.length;
+        }
+    };
+}
+
+/**
+ * Start the stand-in IMAP server answering with the recorded server data
+ */
+function startServer(rec, callback)
+{
+    var served = false, server = net.createServer(function(socket) {
+        var player;
+
+        // only the first connection gets the recorded session
+        if (served) {
+            socket.end("* BYE Replay already in progress\r\n");
+            return;
+        }
+
+        served = true;
+        player = play(rec.server, function(item) {
+            socket.write(item.data);
+        });
+
+        socket.on('data', function(data) { player.received(data.length); });
+        socket.on('error', function() {});
+        socket.on('close', player.stop);
+        player.start();
+    });
+
+    server.listen(0, '127.0.0.1', function() {
+        callback(server);
+    });
+}
+
+/**
+ * Run the proxy with the given config pointing to the stand-in server
+ */
+function startProxy(serverPort, callback)
+{
+    var probe = net.createServer();
+
+    // find a free port for the proxy
+    probe.listen(0, '127.0.0.1', function() {
+        var proxy, output = '', port = probe.address().port,
+            url = 'imap://127.0.0.1:' + serverPort,
+            overrides = {
+                bind_port: port,
+                imap_server: url,
+                backend_check_interval: 0,
+                ssl: false,
+                proxy_protocol: false,
+                forward_client_ip: false,
+                compress_server: false,
+                workers: 0,
+                metrics_port: 0,
+                admin_socket: null,
+                record_dir: null
+            };
+
+        probe.close();
+
+        // users are routed to the stand-in server, too
+        if (config.backend_map || config.backend_resolver) {
+            overrides.backend_map = { '*': url };
+            overrides.backend_resolver = null;
+        }
+
+        fs.writeFileSync(tmpConfig,
+            "var config = require(" + JSON.stringify(configPath) + "), overrides = " + JSON.stringify(overrides) + ";\n" +
+            "Object.keys(overrides).forEach(function(key) { config[key] = overrides[key]; });\n" +
+            "module.exports = config;\n");
+
+        proxy = child_process.spawn(process.execPath, [ path.join(__dirname, 'imaproxy.js'), tmpConfig ]);
+
+        proxy.stdout.on('data', function(data) {
+            verbose && process.stdout.write(data);
+            if (output !== null && (output += data).indexOf("is listening on port") >= 0) {
+                output = null;
+                callback(proxy, port);
+            }
+        });
+        proxy.stderr.on('data', function(data) {
+            verbose && process.stderr.write(data);
+        });
+        proxy.on('exit', function(code) {
+            if (output !== null) {
+                console.error("The proxy failed to start (exit code %d)", code);
+                cleanup();
+                process.exit(1);
+            }
+        });
+    });
+}
+
+/**
+ * Replay the client's part of the recording
+ */
+function runClient(rec, port, callback)
+{
+    var socket = net.connect(port, '127.0.0.1'), out = socket, output = [], idle = null, player;
+
+    function ondata(data) {
+        output.push(data);
+        verbose && transcript("S: ", data);
+        player.received(data.length);
+        if (idle) {
+            wait();
+        }
+    }
+
+    // wait until the proxy is done after the last command
+    function wait() {
+        clearTimeout(idle);
+        idle = setTimeout(function() {
+            socket.destroy();
+        }, timeout);
+    }
+
+    player = play(rec.client, function(item, next) {
+        var inflate;
+
+        if (item.event === 'starttls') {
+            socket.removeListener('data', ondata);
+            socket = out = tls.connect({ socket: socket, rejectUnauthorized: false }, next);
+            socket.on('data', ondata);
+            return false;
+        }
+
+        if (item.event === 'compress-client') {
+            inflate = zlib.createInflateRaw();
+            inflate.on('data', ondata);
+            socket.removeListener('data', ondata);
+            socket.on('data', function(data) { inflate.write(data); });
+            out = zlib.createDeflateRaw({ flush: zlib.Z_SYNC_FLUSH });
+            out.pipe(socket);
+            return;
+        }
+
+        verbose && transcript("C: ", item.data);
+        out.write(item.data);
+    }, wait);
+
+    socket.on('data', ondata);
+    socket.on('error', function(e) {
+        console.error("Connection error: " + e.message);
+    });
+    socket.on('close', function() {
+        clearTimeout(idle);
+        player.stop();
+        callback(Buffer.concat(output));
+    });
+
+    player.start();
+}
+
+function transcript(prefix, data)
+{
+    console.log(String(data).replace(/\r?\n$/, '').split(/\r?\n/).map(function(line) {
+        return prefix + line;
+    }).join("\n"));
+}
+
+/**
+ * Compare the proxy's responses with the recorded ones
+ */
+function compare(expected, actual)
+{
+    var i, diffs = 0,
+        exp = expected.toString('binary').split("\r\n"),
+        act = actual.toString('binary').split("\r\n");
+
+    for (i = 0; i < Math.max(exp.length, act.length) && diffs < MAX_DIFF_LINES; i++) {
+        if (exp[i] !== act[i]) {
+            if (!diffs++) {
+                console.log("The proxy's responses differ from the recording:");
+            }
+            console.log("@@ line %d", i + 1);
+            exp[i] !== undefined && console.log("- " + exp[i]);
+            act[i] !== undefined && console.log("+ " + act[i]);
+        }
+    }
+
+    if (!diffs) {
+        console.log("The proxy's responses match the recording (%d bytes)", actual.length);
+    }
+
+    return !diffs;
+}
+
+function cleanup()
+{
+    try {
+        fs.unlinkSync(tmpConfig);
+    }
+    catch (e) {
+        // ignore
+    }
+}
+
+/////////////////////////  main()
+
+var i, arg, file, config, configPath, timeout = 2000, realtime = false, verbose = false,
+    tmpConfig = path.join(os.tmpdir(), 'imaproxy-replay-' + process.pid + '.js'),
+    configfile = './config.js';
+
+for (i = 2; i < process.argv.length; i++) {
+    arg = process.argv[i];
+    if (arg === '-c') {
+        configfile = process.argv[++i];
+    }
+    else if (arg === '-t') {
+        timeout = parseInt(process.argv[++i], 10) || timeout;
+    }
+    else if (arg === '-r') {
+        realtime = true;
+    }
+    else if (arg === '-v') {
+        verbose = true;
+    }
+    else {
+        file = arg;
+    }
+}
+
+if (!file) {
+    process.stderr.write(USAGE);
+    process.exit(1);
+}
+
+configPath = require.resolve(configfile);
+config = require(configPath);
+
+var recording = load(file);
+
+console.log("Replaying session %s from %s (%s)", recording.header.session.id, recording.header.session.client, recording.header.started);
+
+startServer(recording, function(server) {
+    startProxy(server.address().port, function(proxy, port) {
+        runClient(recording, port, function(output) {
+            var success = compare(recording.expected, output);
+
+            server.close();
+            proxy.kill();
+            cleanup();
+            process.exitCode = success ? 0 : 1;
+        });
+    });
+});
@@ -0,0 +1,117 @@
+/**
+ * Tests for the brute-force protection plugin
+ *
+ * @author Thomas Bruederli <thomas@roundcube.net>
+ *
+ * Copyright (C) 2014, Thomas Bruederli, Bern, Switzerland
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, either version 3 of the
+ * License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+"use strict";
+
+var test = require('node:test'),
+    assert = require('assert'),
+    helper = require('./helper.js');
+
+var CONFIG = { plugins: [ 'authguard' ], auth_throttle: true, auth_throttle_delay: 0,
+    auth_throttle_ip_limit: 5, auth_throttle_user_limit: 2 };
+
+function config(options)
+{
+    var result = {};
+
+    [ CONFIG, options || {} ].forEach(function(obj) {
+        Object.keys(obj).forEach(function(key) {
+            result[key] = obj[key];
+        });
+    });
+
+    return result;
+}
+
+function sasl(str)
+{
+    return Buffer.from(str).toString('base64');
+}
+
+test('blocks a user after failed logins', function() {
+    return helper.run({}, config(), [
+        [ 'a LOGIN bob wrong', 'b LOGIN bob wrong' ],
+        [ 'a LOGIN bob ' + helper.PASSWORD, 'b LOGIN alice ' + helper.PASSWORD ]
+    ]).then(function(result) {
+        assert.deepStrictEqual(helper.results(result.sessions[0]), [ 'a NO [AUTHENTICATIONFAILED]', 'b NO [AUTHENTICATIONFAILED]' ]);
+        assert.deepStrictEqual(helper.results(result.sessions[1]), [ 'a NO [UNAVAILABLE]', 'b OK [CAPABILITY]' ]);
+
+        // the blocked login is not sent to the server
+        assert.strictEqual(result.server.commands.filter(function(cmd) { return cmd.match(/LOGIN bob/); }).length, 2);
+    });
+});
+
+test('blocks a user authenticating with SASL', function() {
+    return helper.run({}, config(), [
+        [ 'a LOGIN bob wrong', 'b LOGIN bob wrong' ],
+        [ 'a AUTHENTICATE PLAIN ' + sasl('\x00bob\x00' + helper.PASSWORD), [ 'b AUTHENTICATE PLAIN', sasl('\x00bob\x00' + helper.PASSWORD) ] ]
+    ]).then(function(result) {
+        assert.deepStrictEqual(helper.results(result.sessions[1]), [ 'a NO [UNAVAILABLE]', 'b NO [UNAVAILABLE]' ]);
+    });
+});
+
+test('disconnects a blocked client IP', function() {
+    return helper.run({}, config({ auth_throttle_ip_limit: 3 }), [
+        [ 'a LOGIN bob wrong', 'b LOGIN alice wrong', 'c LOGIN carol wrong' ],
+        [ 'a LOGIN dave ' + helper.PASSWORD ]
+    ]).then(function(result) {
+        assert.strictEqual(result.sessions[1][1], "* BYE Too many failed login attempts\r\n");
+    });
+});
+
+test('resets the failures of a user on successful login', function() {
+    return helper.run({}, config(), [
+        [ 'a LOGIN bob wrong', 'b LOGIN bob ' + helper.PASSWORD ],
+        [ 'a LOGIN bob wrong', 'b LOGIN bob ' + helper.PASSWORD ]
+    ]).then(function(result) {
+        assert.deepStrictEqual(helper.results(result.sessions[1]), [ 'a NO [AUTHENTICATIONFAILED]', 'b OK [CAPABILITY]' ]);
+    });
+});
+
+test('counts SASL PLAIN failures for the authentication identity', function() {
+    return helper.run({}, config(), [
+        [ 'a AUTHENTICATE PLAIN ' + sasl('carol\x00bob\x00wrong'), 'b AUTHENTICATE PLAIN ' + sasl('dave\x00bob\x00wrong') ],
+        [ 'a AUTHENTICATE PLAIN ' + sasl('erin\x00bob\x00' + helper.PASSWORD), 'b LOGIN carol ' + helper.PASSWORD ]
+    ]).then(function(result) {
+        assert.deepStrictEqual(helper.results(result.sessions[1]), [ 'a NO [UNAVAILABLE]', 'b OK [CAPABILITY]' ]);
+    });
+});
+
+test('blocks a routed user authenticating with SASL', function() {
+    return helper.run({}, config({ backend_map: { '*': 'imap://127.0.0.1:%PORT%' } }), [
+        [ 'a LOGIN bob wrong', 'b LOGIN bob wrong' ],
+        [ [ 'a AUTHENTICATE PLAIN', sasl('\x00bob\x00' + helper.PASSWORD) ], [ 'b AUTHENTICATE PLAIN', sasl('\x00alice\x00' + helper.PASSWORD) ] ]
+    ]).then(function(result) {
+        assert.deepStrictEqual(helper.results(result.sessions[1]), [ 'a NO [UNAVAILABLE]', 'b OK [CAPABILITY]' ]);
+    });
+});
+
+test('counts the failed logins refused by the proxy', function() {
+    return helper.run({}, config({ backend_map: { '@example.org': 'imap://127.0.0.1:%PORT%' }, auth_throttle_ip_limit: 3 }), [
+        [ 'a LOGIN bob@example.com wrong', 'b LOGIN bob@example.com wrong' ],
+        [ 'a LOGIN bob@example.com ' + helper.PASSWORD, 'b AUTHENTICATE PLAIN ' + sasl('bob') ],
+        [ 'a LOGIN bob@example.org ' + helper.PASSWORD ]
+    ]).then(function(result) {
+        assert.deepStrictEqual(helper.results(result.sessions[1]), [ 'a NO [UNAVAILABLE]', 'b NO [AUTHENTICATIONFAILED]' ]);
+        assert.strictEqual(result.sessions[2][1], "* BYE Too many failed login attempts\r\n");
+        assert.deepStrictEqual(result.server.commands, []);
+    });
+});
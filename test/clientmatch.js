@@ -0,0 +1,54 @@
+/**
+ * Tests for the client session matching functions
+ *
+ * @author Thomas Bruederli <thomas@roundcube.net>
+ *
+ * Copyright (C) 2014, Thomas Bruederli, Bern, Switzerland
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, either version 3 of the
+ * License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+"use strict";
+
+var test = require('node:test'),
+    assert = require('assert'),
+    clientmatch = require('../lib/clientmatch.js');
+
+test('matches addresses and networks', function() {
+    var list = clientmatch.blockList([ '10.0.0.0/8', '192.168.1.1', 'fd00::/8' ]);
+
+    assert.strictEqual(clientmatch.matchNetwork(list, '10.1.2.3'), true);
+    assert.strictEqual(clientmatch.matchNetwork(list, '192.168.1.1'), true);
+    assert.strictEqual(clientmatch.matchNetwork(list, '192.168.1.2'), false);
+    assert.strictEqual(clientmatch.matchNetwork(list, 'fd12::1'), true);
+    assert.strictEqual(clientmatch.matchNetwork(list, '::1'), false);
+    assert.strictEqual(clientmatch.matchNetwork(list, null), false);
+    assert.strictEqual(clientmatch.matchNetwork(clientmatch.blockList('127.0.0.1'), '127.0.0.1'), true);
+});
+
+test('matches users by name or domain', function() {
+    var list = [ 'alice', '@example.org' ];
+
+    assert.strictEqual(clientmatch.matchUser(list, 'Alice'), true);
+    assert.strictEqual(clientmatch.matchUser(list, 'bob@Example.org'), true);
+    assert.strictEqual(clientmatch.matchUser(list, 'bob@example.com'), false);
+    assert.strictEqual(clientmatch.matchUser(list, 'bob@notexample.org'), false);
+    assert.strictEqual(clientmatch.matchUser(list, null), false);
+});
+
+test('parses the client software from the ID command', function() {
+    assert.strictEqual(clientmatch.parseClientId('a ID ("name" "Kontact" "version" "5.2" "os" "Linux")\r\n'), 'Kontact 5.2');
+    assert.strictEqual(clientmatch.parseClientId(Buffer.from('a ID ("NAME" "Thunderbird")\r\n')), 'Thunderbird');
+    assert.strictEqual(clientmatch.parseClientId('a ID NIL\r\n'), '');
+});
@@ -0,0 +1,140 @@
+/**
+ * Tests for the IMAP stream framer
+ *
+ * @author Thomas Bruederli <thomas@roundcube.net>
+ *
+ * Copyright (C) 2014, Thomas Bruederli, Bern, Switzerland
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, either version 3 of the
+ * License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+"use strict";
+
+var test = require('node:test'),
+    assert = require('assert'),
+    IMAPFramer = require('../lib/framer.js');
+
+/**
+ * Feed the given chunks to a framer and collect the emitted events
+ */
+function frame(chunks)
+{
+    var framer = new IMAPFramer(), events = [];
+
+    framer.on('message', function(data) {
+        events.push(data.toString('binary'));
+    });
+    framer.on('literal', function(length) {
+        events.push(length);
+    });
+
+    chunks.forEach(function(chunk) {
+        framer.push(Buffer.from(chunk, 'binary'));
+    });
+
+    return events;
+}
+
+test('splits lines into messages', function() {
+    assert.deepStrictEqual(frame([ "a NOOP\r\nb SELECT INBOX\r\nc LOG", "OUT\n" ]),
+        [ "a NOOP\r\n", "b SELECT INBOX\r\n", "c LOGOUT\n" ]);
+});
+
+test('keeps literals in the message', function() {
+    var message = "From: a\r\n\r\n{5}\r\nbody\r\n";
+
+    assert.deepStrictEqual(frame([ "a APPEND INBOX {" + message.length + "}\r\n", message.substr(0, 10), message.substr(10) + "\r\nb NOOP\r\n" ]),
+        [ message.length, "a APPEND INBOX {" + message.length + "}\r\n" + message + "\r\n", "b NOOP\r\n" ]);
+});
+
+test('does not request non-synchronizing literals', function() {
+    assert.deepStrictEqual(frame([ "a LOGIN {3+}\r\nbob {6+}\r\nsecret\r\n" ]), [ "a LOGIN {3+}\r\nbob {6+}\r\nsecret\r\n" ]);
+    assert.deepStrictEqual(frame([ "* 1 FETCH (BODY[] {0}\r\n)\r\n" ]), [ 0, "* 1 FETCH (BODY[] {0}\r\n)\r\n" ]);
+});
+
+test('returns the rest of the chunk after a message', function() {
+    var framer = new IMAPFramer(), messages = [], rest;
+
+    framer.on('message', function(data) {
+        messages.push(data.toString());
+        rest = framer.rest();
+    });
+    framer.push(Buffer.from("a STARTTLS\r\n\x16\x03\x01"));
+
+    assert.deepStrictEqual(messages, [ "a STARTTLS\r\n" ]);
+    assert.strictEqual(rest.toString('binary'), "\x16\x03\x01");
+});
+
+test('discards buffered data on reset', function() {
+    var framer = new IMAPFramer(), messages = [];
+
+    framer.on('message', function(data) {
+        messages.push(data.toString());
+    });
+    framer.push(Buffer.from("a APPEND INBOX {10}\r\nabc"));
+    framer.reset();
+    framer.push(Buffer.from("b NOOP\r\n"));
+
+    assert.deepStrictEqual(messages, [ "b NOOP\r\n" ]);
+});
+
+test('segments splits commands at synchronizing literals', function() {
+    var segments = IMAPFramer.segments(Buffer.from("a LOGIN {3}\r\nbob {6+}\r\nsecret {2}\r\nxx\r\n"));
+
+    assert.deepStrictEqual(segments.map(String), [ "a LOGIN {3}\r\n", "bob {6+}\r\nsecret {2}\r\n", "xx\r\n" ]);
+    assert.deepStrictEqual(IMAPFramer.segments(Buffer.from("a NOOP\r\n")).map(String), [ "a NOOP\r\n" ]);
+});
+
+test('refuses messages over the size limit', function() {
+    var framer = new IMAPFramer(), events = [];
+
+    framer.on('message', function(data) {
+        events.push(data.toString());
+    });
+    framer.on('literal', function(length) {
+        events.push(length);
+    });
+    framer.on('limit', function(type, data) {
+        events.push(type + ': ' + data.toString());
+    });
+    framer.limit(100, 40);
+    framer.push(Buffer.from("a LOGIN {3}\r\nbob {6}\r\nsecret\r\n"));
+    framer.push(Buffer.from("b APPEND INBOX {4000000000}\r\nc NOOP\r\n"));
+    framer.push(Buffer.from("d LOGIN {30+}\r\n" + "x".repeat(30) + " {6}\r\ne NOOP\r\n"));
+    framer.push(Buffer.from("f APPEND INBOX {50+}\r\n" + "x".repeat(50) + " {1+}\r\ny\r\ng NOOP\r\n"));
+
+    assert.deepStrictEqual(events, [ 3, 6, 'a LOGIN {3}\r\nbob {6}\r\nsecret\r\n', 'message: b APPEND INBOX {4000000000}\r\n', 'c NOOP\r\n',
+        'message: d LOGIN {30+}\r\n', 'e NOOP\r\n', 'message: f APPEND INBOX {50+}\r\n', 'g NOOP\r\n' ]);
+});
+
+test('stops at lines over the length limit', function() {
+    var framer = new IMAPFramer(), events = [];
+
+    framer.on('message', function(data) {
+        events.push(data.toString());
+    });
+    framer.on('limit', function(type, data) {
+        events.push(type + ': ' + data.length);
+    });
+    framer.limit(10, 0);
+    framer.push(Buffer.from("a NOOP\r\nb SEL"));
+    framer.push(Buffer.from("ECT INBOX\r\nc NOOP\r\n"));
+
+    assert.deepStrictEqual(events, [ 'a NOOP\r\n', 'line: 16' ]);
+
+    framer.reset();
+    framer.limit(0, 0);
+    framer.push(Buffer.from("d SELECT INBOX {" + "1".repeat(20) + "}\r\n"));
+    assert.strictEqual(events.length, 2);
+});
@@ -0,0 +1,509 @@
+/**
+ * Helpers for testing the proxy against a scripted IMAP server
+ *
+ * @author Thomas Bruederli <thomas@roundcube.net>
+ *
+ * Copyright (C) 2014, Thomas Bruederli, Bern, Switzerland
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, either version 3 of the
+ * License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+"use strict";
+
+var net = require('net'),
+    fs = require('fs'),
+    os = require('os'),
+    path = require('path'),
+    child_process = require('child_process'),
+    imap = require('../lib/imap.js'),
+    IMAPFramer = require('../lib/framer.js');
+
+var CAPABILITIES = 'IMAP4rev1 LITERAL+ ID AUTH=PLAIN SASL-IR';
+var PASSWORD = 'secret';
+
+/**
+ * Start an IMAP server answering the commands of the proxy
+ *
+ * Options:
+ *   capabilities     : Capabilities announced before the login
+ *   postCapabilities : Capabilities announced after the login
+ *   folders          : List of mailbox names for LIST, LSUB and STATUS
+ *   metadata         : Hash of mailbox name => Kolab folder type for GETMETADATA
+ *   idle             : Untagged responses sent during IDLE
+ *   handlers         : Hash of COMMAND => function(tag, args, conn) returning the response
+ *                      or undefined for the default response
+ *
+ * All commands received are collected in server.commands.
+ *
+ * @param object Options
+ * @return Promise resolving with the net.Server
+ */
+function imapServer(options)
+{
+    var server = net.createServer(function(socket) {
+        var framer = new IMAPFramer(), conn = { socket: socket, user: null, sasl: null };
+
+        framer.on('literal', function() {
+            socket.write("+ go ahead\r\n");
+        });
+        framer.on('message', function(data) {
+            var str = data.toString('binary'), tokens, tag, command, response;
+
+            server.commands.push(str.replace(/\r?\n$/, ''));
+
+            // DONE ends IDLE
+            if (conn.idle) {
+                tag = conn.idle;
+                conn.idle = null;
+                socket.write(tag + " OK IDLE terminated\r\n");
+                return;
+            }
+
+            // SASL response to AUTHENTICATE
+            if (conn.sasl) {
+                tag = conn.sasl;
+                conn.sasl = null;
+                socket.write(authenticate(conn, tag, str.trim()));
+                return;
+            }
+
+            tokens = imap.tokenizeData(str);
+            tag = tokens.shift();
+            command = String(tokens.shift()).toUpperCase();
+            if (command === 'UID') {
+                command += ' ' + String(tokens.shift()).toUpperCase();
+            }
+
+            if (options.handlers && options.handlers[command]) {
+                response = options.handlers[command](tag, tokens, conn);
+            }
+            if (response === undefined) {
+                response = respond(conn, tag, command, tokens);
+            }
+            if (response) {
+                socket.write(response);
+            }
+            if (command === 'LOGOUT') {
+                socket.end();
+            }
+        });
+
+        socket.on('data', framer.push);
+        socket.on('error', function() {});
+        socket.write("* OK [CAPABILITY " + capabilities() + "] IMAP server ready\r\n");
+    });
+
+    options = options || {};
+    server.commands = [];
+
+    function capabilities(conn)
+    {
+        return conn && conn.user ? options.postCapabilities || capabilities() : options.capabilities || CAPABILITIES;
+    }
+
+    function login(conn, tag, user, password)
+    {
+        if (password !== PASSWORD) {
+            return tag + " NO [AUTHENTICATIONFAILED] Authentication failed\r\n";
+        }
+
+        conn.user = user;
+        return tag + " OK [CAPABILITY " + capabilities(conn) + "] Logged in\r\n";
+    }
+
+    function authenticate(conn, tag, sasl)
+    {
+        var parts = Buffer.from(sasl, 'base64').toString().split("\x00");
+        return login(conn, tag, parts[1], parts[2]);
+    }
+
+    function folders(pattern)
+    {
+        var regex = new RegExp('^' + String(pattern).replace(/[\\^$.+?()[\]{}|]/g, '\\$&').replace(/\*/g, '.*').replace(/%/g, '[^/]*') + '$');
+        return (options.folders || [ 'INBOX' ]).filter(function(name) {
+            return regex.test(name);
+        });
+    }
+
+    function respond(conn, tag, command, args)
+    {
+        var mechanism, status, metadata = options.metadata || {};
+
+        switch (command) {
+        case 'CAPABILITY':
+            return "* CAPABILITY " + capabilities(conn) + "\r\n" + tag + " OK CAPABILITY completed\r\n";
+
+        case 'LOGIN':
+            return login(conn, tag, args[0], args[1]);
+
+        case 'AUTHENTICATE':
+            mechanism = String(args[0]).toUpperCase();
+            if (mechanism !== 'PLAIN') {
+                return tag + " NO Unsupported mechanism\r\n";
+            }
+            if (args[1]) {
+                return authenticate(conn, tag, args[1]);
+            }
+            conn.sasl = tag;
+            return "+ \r\n";
+
+        case 'LOGOUT':
+            return "* BYE Logging out\r\n" + tag + " OK LOGOUT completed\r\n";
+
+        case 'IDLE':
+            conn.idle = tag;
+            return "+ idling\r\n" + (options.idle || '');
+
+        case 'SELECT':
+        case 'EXAMINE':
+            return "* 0 EXISTS\r\n" + tag + " OK [" + (command === 'SELECT' ? 'READ-WRITE' : 'READ-ONLY') + "] " + command + " completed\r\n";
+
+        case 'LIST':
+        case 'LSUB':
+            // skip selection options
+            if (Array.isArray(args[0])) {
+                args.shift();
+            }
+            // LIST ... RETURN (STATUS (...))
+            status = String(args[2]).toUpperCase() === 'RETURN' && String((args[3] || [])[0]).toUpperCase() === 'STATUS';
+            return folders(String(args[0]) + String(args[1])).map(function(name) {
+                return "* " + command + " (\\HasNoChildren) \"/\" " + quote(name) + "\r\n" +
+                    (status ? "* STATUS " + quote(name) + " (MESSAGES 1)\r\n" : '');
+            }).join('') + tag + " OK " + command + " completed\r\n";
+
+        case 'STATUS':
+            return "* STATUS " + quote(args[0]) + " (MESSAGES 1)\r\n" + tag + " OK STATUS completed\r\n";
+
+        case 'GETMETADATA':
+            return Object.keys(metadata).map(function(name) {
+                return "* METADATA " + quote(name) + " (/shared/vendor/kolab/folder-type " + quote(metadata[name]) + ")\r\n";
+            }).join('') + tag + " OK GETMETADATA completed\r\n";
+
+        case 'NAMESPACE':
+            return "* NAMESPACE ((\"\" \"/\")) ((\"Other Users/\" \"/\")) NIL\r\n" + tag + " OK NAMESPACE completed\r\n";
+        }
+
+        return tag + " OK " + command + " completed\r\n";
+    }
+
+    return new Promise(function(resolve) {
+        server.listen(0, '127.0.0.1', function() {
+            resolve(server);
+        });
+    });
+}
+
+function quote(str)
+{
+    return '"' + String(str).replace(/(["\\])/g, "\\$1") + '"';
+}
+
+/**
+ * Find a free TCP port
+ */
+function freePort()
+{
+    return new Promise(function(resolve) {
+        var server = net.createServer();
+        server.listen(0, '127.0.0.1', function() {
+            var port = server.address().port;
+            server.close(function() {
+                resolve(port);
+            });
+        });
+    });
+}
+
+/**
+ * Run the proxy in a child process with the given config
+ *
+ * @param object Config options
+ * @return Promise resolving with the proxy (port, output, reload(config) and stop())
+ */
+function startProxy(config)
+{
+    return freePort().then(function(port) {
+        var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'imaproxy-test-')), file = path.join(dir, 'config.js');
+
+        function writeConfig(config) {
+            var options = { bind_port: port, ssl: false, starttls: false, login_disabled: false, compress: false,
+                workers: 0, conn_log: false, debug_log: false, backend_check_interval: 0, plugins: [] };
+
+            Object.keys(config).forEach(function(key) {
+                options[key] = config[key];
+            });
+            fs.writeFileSync(file, "module.exports = " + JSON.stringify(options, null, 4) + ";\n");
+        }
+
+        writeConfig(config);
+
+        return new Promise(function(resolve, reject) {
+            var child = child_process.spawn(process.execPath, [ path.join(__dirname, '..', 'imaproxy.js'), file ], { stdio: [ 'ignore', 'pipe', 'pipe' ] }),
+                proxy = { port: port, output: '', reload: reload, stop: stop }, started = false, listening = 0, reloaded = null;
+
+            /**
+             * Write the given config and send SIGHUP, resolves when the proxy listens again
+             */
+            function reload(config) {
+                return new Promise(function(resolve) {
+                    reloaded = resolve;
+                    writeConfig(config);
+                    child.kill('SIGHUP');
+                });
+            }
+
+            function stop() {
+                return new Promise(function(resolve) {
+                    var timer = setTimeout(function() { child.kill('SIGKILL'); }, 5000);
+
+                    child.once('exit', function() {
+                        clearTimeout(timer);
+                        fs.rmSync(dir, { recursive: true, force: true });
+                        resolve();
+                    });
+                    child.kill('SIGTERM');
+                });
+            }
+
+            function output(data) {
+                var count;
+
+                proxy.output += data.toString();
+                count = (proxy.output.match(/is listening on port/g) || []).length;
+
+                if (!started && count) {
+                    started = true;
+                    resolve(proxy);
+                }
+                else if (reloaded && count > listening) {
+                    reloaded();
+                    reloaded = null;
+                }
+                listening = count;
+            }
+
+            child.stdout.on('data', output);
+            child.stderr.on('data', output);
+            child.on('exit', function() {
+                if (!started) {
+                    fs.rmSync(dir, { recursive: true, force: true });
+                    reject(new Error("The proxy failed to start: " + proxy.output));
+                }
+            });
+        });
+    });
+}
+
+/**
+ * Connect an IMAP client to the given port
+ *
+ * @return Promise resolving with the client when the greeting was received
+ */
+function connect(port)
+{
+    return new Promise(function(resolve) {
+        var socket = net.connect(port, '127.0.0.1'), framer = new IMAPFramer(), waiting = null,
+            client = { greeting: null, closed: false, send: send, close: close };
+
+        /**
+         * Send a command and wait for its tagged response
+         *
+         * @param mixed Command line(s) or a list of the command and the lines
+         *              to send on continuation requests (e.g. SASL responses)
+         *              or after an untagged response matching a RegExp (e.g. DONE)
+         * @return Promise resolving with the complete response (including untagged data)
+         *                 up to the tagged response of the last (pipelined) command
+         */
+        function send(command) {
+            var lines = [].concat(command).map(function(line) {
+                    return line instanceof RegExp ? line : Buffer.from(line.replace(/(\r\n)?$/, "\r\n"), 'binary');
+                }),
+                segments = IMAPFramer.segments(lines[0]).concat(lines.slice(1));
+
+            return new Promise(function(resolve) {
+                waiting = { tag: lastTag(lines[0]), segments: segments.slice(1), response: [], resolve: resolve };
+                socket.write(segments[0]);
+            });
+        }
+
+        function close() {
+            socket.destroy();
+        }
+
+        function lastTag(data) {
+            var commands = new IMAPFramer(), tag = data.toString().split(' ')[0];
+
+            commands.on('message', function(command) {
+                tag = command.toString().split(' ')[0];
+            });
+            commands.push(data);
+
+            return tag;
+        }
+
+        function done(response) {
+            var request = waiting;
+            waiting = null;
+            request.resolve(response);
+        }
+
+        framer.on('message', function(data) {
+            var str = data.toString('binary');
+
+            if (!client.greeting) {
+                client.greeting = str;
+                resolve(client);
+                return;
+            }
+
+            if (!waiting) {
+                return;
+            }
+
+            // continuation request for the next part of the command
+            if (str[0] === '+' && waiting.segments.length && !(waiting.segments[0] instanceof RegExp)) {
+                socket.write(waiting.segments.shift());
+                return;
+            }
+
+            waiting.response.push(str);
+
+            // the next part waits for an untagged response
+            if (waiting.segments[0] instanceof RegExp) {
+                if (waiting.segments[0].test(str)) {
+                    waiting.segments.shift();
+                    socket.write(waiting.segments.shift());
+                }
+                return;
+            }
+            if (str.indexOf(waiting.tag + ' ') === 0 || str[0] === '+') {
+                done(waiting.response.join(''));
+            }
+        });
+
+        // don't wait forever for a response that doesn't come
+        socket.setTimeout(10000, close);
+        socket.on('data', framer.push);
+        socket.on('error', function() {});
+        socket.on('close', function() {
+            client.closed = true;
+            if (!client.greeting) {
+                resolve(client);
+            }
+            else if (waiting) {
+                done(waiting.response.join(''));
+            }
+        });
+    });
+}
+
+/**
+ * Run IMAP sessions through the proxy
+ *
+ * Starts the scripted IMAP server and the proxy, sends the commands of
+ * every connection in turn and stops the proxy and the server again.
+ *
+ * @param object Server options (see imapServer())
+ * @param object Proxy config (imap_server defaults to the scripted server, %PORT% in imap_server
+ *               and backend_map is replaced with its port)
+ * @param array  List of connections, each a list of commands
+ * @return Promise resolving with { sessions, server, output } where sessions
+ *                 is a list of connections, each a list of the greeting and the responses
+ */
+function run(serverOptions, config, connections)
+{
+    var server, proxy, sessions = [];
+
+    return imapServer(serverOptions).then(function(result) {
+        var options = {};
+
+        server = result;
+        Object.keys(config).forEach(function(key) {
+            options[key] = config[key];
+        });
+        options.imap_server = [].concat(config.imap_server || 'imap://127.0.0.1:%PORT%').map(function(url) {
+            return url.replace('%PORT%', server.address().port);
+        });
+        if (config.backend_map) {
+            options.backend_map = {};
+            Object.keys(config.backend_map).forEach(function(key) {
+                options.backend_map[key] = config.backend_map[key].replace('%PORT%', server.address().port);
+            });
+        }
+
+        return startProxy(options);
+    }).then(function(result) {
+        proxy = result;
+
+        return connections.reduce(function(promise, commands) {
+            return promise.then(function() {
+                return connect(proxy.port);
+            }).then(function(client) {
+                var responses = [ client.greeting ];
+
+                sessions.push(responses);
+
+                return commands.reduce(function(promise, command) {
+                    return promise.then(function() {
+                        return client.closed ? null : client.send(command);
+                    }).then(function(response) {
+                        if (response !== null) {
+                            responses.push(response);
+                        }
+                    });
+                }, Promise.resolve()).then(function() {
+                    client.close();
+                });
+            });
+        }, Promise.resolve());
+    }).then(function() {
+        return finish();
+    }, function(err) {
+        return finish().then(function() {
+            throw err;
+        });
+    });
+
+    function finish() {
+        return (proxy ? proxy.stop() : Promise.resolve()).then(function() {
+            server.close();
+            return { sessions: sessions, server: server, output: proxy ? proxy.output : '' };
+        });
+    }
+}
+
+/**
+ * Get the tagged result of every response of a session (e.g. "a NO [NONEXISTENT]")
+ *
+ * @param array Greeting and responses of a session (see run())
+ * @return array Tag, status and response code (without its arguments) of every response
+ */
+function results(responses)
+{
+    return responses.slice(1).map(function(response) {
+        var lines = response.trim().split("\r\n"),
+            match = lines[lines.length - 1].match(/^(\S+ \S+)(?: \[([^\] ]+))?/);
+
+        return match[1] + (match[2] ? ' [' + match[2] + ']' : '');
+    });
+}
+
+
+exports.PASSWORD = PASSWORD;
+exports.imapServer = imapServer;
+exports.freePort = freePort;
+exports.startProxy = startProxy;
+exports.connect = connect;
+exports.run = run;
+exports.results = results;
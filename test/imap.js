@@ -0,0 +1,82 @@
+/**
+ * Tests for the IMAP protocol utility functions
+ *
+ * @author Thomas Bruederli <thomas@roundcube.net>
+ *
+ * Copyright (C) 2014, Thomas Bruederli, Bern, Switzerland
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, either version 3 of the
+ * License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+"use strict";
+
+var test = require('node:test'),
+    assert = require('assert'),
+    imap = require('../lib/imap.js');
+
+test('tokenizeData splits atoms, quoted strings, literals and lists', function() {
+    assert.deepStrictEqual(imap.tokenizeData('* LIST (\\HasNoChildren) "/" "Sent \\"Items\\""'),
+        [ '*', 'LIST', [ '\\HasNoChildren' ], '/', 'Sent "Items"' ]);
+    assert.deepStrictEqual(imap.tokenizeData('a LOGIN {3}\r\nbob NIL ""'), [ 'a', 'LOGIN', 'bob', null, '' ]);
+    assert.deepStrictEqual(imap.tokenizeData('a SELECT INBOX (CONDSTORE)', 3), [ 'a', 'SELECT', 'INBOX' ]);
+    assert.strictEqual(imap.tokenizeData('"INBOX" rest', 1), 'INBOX');
+});
+
+test('parseResponse finds the tagged status', function() {
+    var response = imap.parseResponse("* 3 EXISTS\r\na1 ok done\r\n");
+
+    assert.strictEqual(response.seq, 'a1');
+    assert.strictEqual(response.status, 'OK');
+    assert.deepStrictEqual(response.lines, [ '* 3 EXISTS', 'a1 ok done' ]);
+    assert.strictEqual(imap.parseResponse("* 3 EXISTS\r\n").status, 'UNKNOWN');
+});
+
+test('explodeQuotedString keeps quoted delimiters', function() {
+    assert.deepStrictEqual(imap.explodeQuotedString('"a b" c "d"', ' '), [ 'a b', 'c', 'd' ]);
+});
+
+test('tokenOffsets returns the positions of the tokens', function() {
+    var str = 'a RENAME {3}\r\nFoo "B\\"ar" (x (y)) NIL\r\n',
+        tokens = imap.tokenOffsets(str);
+
+    assert.deepStrictEqual(tokens.map(function(token) { return str.substring(token.start, token.end); }),
+        [ 'a', 'RENAME', '{3}\r\nFoo', '"B\\"ar"', '(x (y))', 'NIL' ]);
+    assert.deepStrictEqual(tokens.map(function(token) { return token.value; }),
+        [ 'a', 'RENAME', 'Foo', 'B"ar', [ 'x', [ 'y' ] ], null ]);
+    assert.strictEqual(imap.tokenOffsets(str, 2).length, 2);
+});
+
+test('formatString quotes or uses a literal', function() {
+    assert.strictEqual(imap.formatString('Sent "Items"'), '"Sent \\"Items\\""');
+    assert.strictEqual(imap.formatString("a\r\nb"), "{4}\r\na\r\nb");
+    assert.strictEqual(imap.formatString("\xc3\xbc"), "{2}\r\n\xc3\xbc");
+    assert.strictEqual(imap.formatString("\xc3\xbc", true), "\"\xc3\xbc\"");
+});
+
+test('encodes and decodes modified UTF-7', function() {
+    assert.strictEqual(imap.encodeUTF7('Entwürfe'), 'Entw&APw-rfe');
+    assert.strictEqual(imap.encodeUTF7('Tom & Jerry'), 'Tom &- Jerry');
+    assert.strictEqual(imap.encodeUTF7('日本語/a?b'), '&ZeVnLIqe-/a?b');
+    assert.strictEqual(imap.decodeUTF7('Entw&APw-rfe'), 'Entwürfe');
+    assert.strictEqual(imap.decodeUTF7('Tom &- Jerry'), 'Tom & Jerry');
+    assert.strictEqual(imap.decodeUTF7(imap.encodeUTF7('日本語 ☺ ü')), '日本語 ☺ ü');
+});
+
+test('decodeUTF7 leaves invalid sequences as they are', function() {
+    [ '&AB-', 'a&AGQ', '&A.B-' ].forEach(function(name) {
+        assert.strictEqual(imap.decodeUTF7(name), name);
+        assert.strictEqual(imap.decodeUTF7(name, true), null);
+    });
+    assert.strictEqual(imap.decodeUTF7('&APw-&AB-'), 'ü&AB-');
+});
@@ -0,0 +1,46 @@
+/**
+ * Tests for the line length and command size limits
+ *
+ * @author Thomas Bruederli <thomas@roundcube.net>
+ *
+ * Copyright (C) 2014, Thomas Bruederli, Bern, Switzerland
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, either version 3 of the
+ * License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+"use strict";
+
+var test = require('node:test'),
+    assert = require('assert'),
+    helper = require('./helper.js');
+
+test('refuses commands over the size limit', function() {
+    return helper.run({}, { max_command_size: 1000 }, [
+        [ 'a LOGIN {4000000000}', 'b LOGIN bob ' + helper.PASSWORD, 'c APPEND INBOX {2000}', 'd APPEND INBOX {500}\r\n' + 'x'.repeat(500), 'e NOOP' ]
+    ]).then(function(result) {
+        assert.deepStrictEqual(helper.results(result.sessions[0]),
+            [ 'a NO [TOOBIG]', 'b OK [CAPABILITY]', 'c NO [TOOBIG]', 'd OK', 'e OK' ]);
+        assert.deepStrictEqual(result.server.commands.map(function(cmd) { return cmd.split(' ')[0]; }), [ 'b', 'd', 'e' ]);
+    });
+});
+
+test('disconnects clients sending too long lines', function() {
+    return helper.run({}, { max_line_length: 0 }, [
+        [ 'a NOOP ' + 'x'.repeat(10000), 'b NOOP' ],
+        [ 'a LOGIN bob ' + helper.PASSWORD, 'b NOOP ' + 'x'.repeat(10000) ]
+    ]).then(function(result) {
+        assert.deepStrictEqual(result.sessions[0].slice(1), [ "* BYE Line too long\r\n" ]);
+        assert.deepStrictEqual(helper.results(result.sessions[1]).slice(1), [ 'b OK' ]);
+    });
+});
@@ -0,0 +1,128 @@
+/**
+ * Tests for the mail-folders-only plugin
+ *
+ * @author Thomas Bruederli <thomas@roundcube.net>
+ *
+ * Copyright (C) 2014, Thomas Bruederli, Bern, Switzerland
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, either version 3 of the
+ * License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+"use strict";
+
+var test = require('node:test'),
+    assert = require('assert'),
+    helper = require('./helper.js');
+
+var SERVER = {
+    postCapabilities: 'IMAP4rev1 LITERAL+ METADATA LIST-STATUS',
+    folders: [ 'INBOX', 'Calendar', 'Contacts', 'Sent', 'Notes' ],
+    metadata: { 'Calendar': 'event.default', 'Contacts': 'contact', 'Sent': 'mail.sentitems', 'Notes': 'NIL' }
+};
+
+var LOGIN = 'a LOGIN bob ' + helper.PASSWORD;
+
+/**
+ * Get the mailbox names of the untagged LIST, LSUB and STATUS responses
+ */
+function mailboxes(response)
+{
+    return response.trim().split("\r\n").slice(0, -1).map(function(line) {
+        return line.replace(/^\* (\S+) .*"([^"]+)".*$/, '$1 $2');
+    });
+}
+
+test('hides non-mail folders from LIST and LSUB', function() {
+    return helper.run(SERVER, { plugins: [ 'mailonly' ] }, [
+        [ LOGIN, 'b LIST "" "*"', 'c LSUB "" "*"' ]
+    ]).then(function(result) {
+        var responses = result.sessions[0];
+
+        assert.deepStrictEqual(mailboxes(responses[2]), [ 'LIST INBOX', 'LIST Sent', 'LIST Notes' ]);
+        assert.deepStrictEqual(mailboxes(responses[3]), [ 'LSUB INBOX', 'LSUB Sent', 'LSUB Notes' ]);
+        assert.match(responses[2], /\r\nb OK /);
+    });
+});
+
+test('filters the STATUS responses of LIST-STATUS', function() {
+    return helper.run(SERVER, { plugins: [ 'mailonly' ] }, [
+        [ LOGIN, 'b LIST "" "*" RETURN (STATUS (MESSAGES))' ]
+    ]).then(function(result) {
+        assert.deepStrictEqual(mailboxes(result.sessions[0][2]),
+            [ 'LIST INBOX', 'STATUS INBOX', 'LIST Sent', 'STATUS Sent', 'LIST Notes', 'STATUS Notes' ]);
+    });
+});
+
+test('refuses commands on hidden folders', function() {
+    return helper.run(SERVER, { plugins: [ 'mailonly' ] }, [
+        [ LOGIN, 'b SELECT Calendar', 'c STATUS "Contacts" (MESSAGES)', 'd SELECT Sent', 'e UID COPY 1:* Calendar', 'f DELETE Contacts' ]
+    ]).then(function(result) {
+        assert.deepStrictEqual(helper.results(result.sessions[0]),
+            [ 'a OK [CAPABILITY]', 'b NO [NONEXISTENT]', 'c NO [NONEXISTENT]', 'd OK [READ-WRITE]', 'e NO [NONEXISTENT]', 'f NO [NONEXISTENT]' ]);
+        assert.deepStrictEqual(result.server.commands.filter(function(cmd) { return cmd.match(/^[b-f] /); }), [ 'd SELECT Sent' ]);
+    });
+});
+
+test('passes everything through without folder types', function() {
+    return helper.run({ folders: SERVER.folders, metadata: SERVER.metadata }, { plugins: [ 'mailonly' ] }, [
+        [ LOGIN, 'b LIST "" "*"', 'c SELECT Calendar' ]
+    ]).then(function(result) {
+        assert.strictEqual(mailboxes(result.sessions[0][2]).length, 5);
+        assert.deepStrictEqual(helper.results(result.sessions[0]).slice(2), [ 'c OK [READ-WRITE]' ]);
+    });
+});
+
+test('shows the folder types of the matching policy', function() {
+    var config = { plugins: [ 'mailonly' ], mailonly_policies: [
+        { client: '^Kontact', show: 'all' },
+        { users: [ '@example.org' ], show: [ 'mail', 'event' ] }
+    ] };
+
+    return helper.run(SERVER, config, [
+        [ 'a ID ("name" "Kontact" "version" "5.0")', 'b LOGIN bob ' + helper.PASSWORD, 'c LIST "" "*"' ],
+        [ 'a LOGIN bob@example.org ' + helper.PASSWORD, 'b LIST "" "*"', 'c SELECT Contacts' ]
+    ]).then(function(result) {
+        assert.strictEqual(mailboxes(result.sessions[0][3]).length, 5);
+        assert.deepStrictEqual(mailboxes(result.sessions[1][2]), [ 'LIST INBOX', 'LIST Calendar', 'LIST Sent', 'LIST Notes' ]);
+        assert.deepStrictEqual(helper.results(result.sessions[1]).slice(2), [ 'c NO [NONEXISTENT]' ]);
+    });
+});
+
+test('refuses to create or rename to hidden folders', function() {
+    return helper.run(SERVER, { plugins: [ 'mailonly' ] }, [
+        [ LOGIN, 'b CREATE Calendar', 'c RENAME Sent Contacts', 'd RENAME Calendar Events', 'e GETMETADATA (DEPTH 0) Calendar /private/comment', 'f CREATE Drafts' ]
+    ]).then(function(result) {
+        assert.deepStrictEqual(helper.results(result.sessions[0]).slice(1),
+            [ 'b NO [ALREADYEXISTS]', 'c NO [ALREADYEXISTS]', 'd NO [NONEXISTENT]', 'e NO [NONEXISTENT]', 'f OK' ]);
+    });
+});
+
+test('does not hold back responses after a refused listing', function() {
+    var server = { postCapabilities: SERVER.postCapabilities, folders: SERVER.folders, metadata: SERVER.metadata, idle: "* 1 EXISTS\r\n" },
+        config = { plugins: [ 'mailonly', 'policy' ], command_policies: [ { command: 'LIST', action: 'deny' } ] };
+
+    return helper.run(server, config, [
+        [ LOGIN, 'b LIST "" "*"', 'c SELECT INBOX', [ 'd IDLE', /^\* 1 EXISTS/, 'DONE' ] ]
+    ]).then(function(result) {
+        assert.deepStrictEqual(helper.results(result.sessions[0]).slice(1), [ 'b NO [NOPERM]', 'c OK [READ-WRITE]', 'd OK' ]);
+    });
+});
+
+test('counts the literals of mailbox arguments in bytes', function() {
+    return helper.run(SERVER, { plugins: [ 'mailonly' ] }, [
+        [ LOGIN, 'b RENAME {16+}\r\n' + '\xc3\xbc'.repeat(8) + ' Calendar', 'c RENAME {16+}\r\n' + '\xc3\xbc'.repeat(8) + ' Drafts' ]
+    ]).then(function(result) {
+        assert.deepStrictEqual(helper.results(result.sessions[0]).slice(1), [ 'b NO [ALREADYEXISTS]', 'c OK' ]);
+    });
+});
@@ -0,0 +1,101 @@
+/**
+ * Tests for the virtual namespace plugin
+ *
+ * @author Thomas Bruederli <thomas@roundcube.net>
+ *
+ * Copyright (C) 2014, Thomas Bruederli, Bern, Switzerland
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, either version 3 of the
+ * License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+"use strict";
+
+var test = require('node:test'),
+    assert = require('assert'),
+    helper = require('./helper.js');
+
+var SERVER = {
+    folders: [ 'INBOX', 'INBOX/Sent', 'INBOX/Drafts', 'INBOX/Sent Items', 'Other Users/jane', 'Other Users/jane/Calendar' ]
+};
+
+var CONFIG = {
+    plugins: [ 'namespace' ],
+    namespace_rules: [
+        { server: 'INBOX/', client: '' },
+        { server: 'INBOX/Sent Items', client: 'Sent Messages' },
+        { server: 'Other Users/', client: 'Shared/People/' }
+    ]
+};
+
+var LOGIN = 'a LOGIN bob ' + helper.PASSWORD;
+
+function mailboxes(response)
+{
+    return response.trim().split("\r\n").slice(0, -1).map(function(line) {
+        return line.replace(/^\* (\S+) .*"([^"]+)".*$/, '$1 $2');
+    });
+}
+
+test('translates the mailbox names of LIST responses', function() {
+    return helper.run(SERVER, CONFIG, [
+        [ LOGIN, 'b LIST "" "*"', 'c LIST "" "Shared/*"', 'd LIST "" "%"' ]
+    ]).then(function(result) {
+        var responses = result.sessions[0];
+
+        assert.deepStrictEqual(mailboxes(responses[2]), [ 'LIST INBOX', 'LIST Sent', 'LIST Drafts', 'LIST Sent Messages',
+            'LIST Shared/People/jane', 'LIST Shared/People/jane/Calendar' ]);
+        assert.deepStrictEqual(mailboxes(responses[3]), [ 'LIST Shared/People/jane', 'LIST Shared/People/jane/Calendar' ]);
+        assert.deepStrictEqual(mailboxes(responses[4]), [ 'LIST INBOX', 'LIST Sent', 'LIST Drafts', 'LIST Sent Messages' ]);
+    });
+});
+
+test('translates the mailbox names of client commands', function() {
+    return helper.run(SERVER, CONFIG, [
+        [ LOGIN, 'b SELECT Sent', 'c STATUS "Sent Messages" (MESSAGES)', 'd RENAME Drafts "Shared/People/jane/Drafts"', 'e SELECT INBOX' ]
+    ]).then(function(result) {
+        assert.deepStrictEqual(result.server.commands.slice(1), [ 'b SELECT "INBOX/Sent"', 'c STATUS "INBOX/Sent Items" (MESSAGES)',
+            'd RENAME "INBOX/Drafts" "Other Users/jane/Drafts"', 'e SELECT INBOX' ]);
+        assert.strictEqual(result.sessions[0][3], '* STATUS "Sent Messages" (MESSAGES 1)\r\nc OK STATUS completed\r\n');
+    });
+});
+
+test('translates the NAMESPACE response', function() {
+    return helper.run(SERVER, CONFIG, [
+        [ LOGIN, 'b NAMESPACE' ]
+    ]).then(function(result) {
+        assert.match(result.sessions[0][2], /^\* NAMESPACE \(\("" "\/"\)\) \(\("Shared\/People\/" "\/"\)\) NIL\r\n/);
+    });
+});
+
+test('passes everything through without rules', function() {
+    return helper.run(SERVER, { plugins: [ 'namespace' ] }, [
+        [ LOGIN, 'b LIST "" "*"', 'c SELECT "INBOX/Sent"' ]
+    ]).then(function(result) {
+        assert.strictEqual(mailboxes(result.sessions[0][2]).length, SERVER.folders.length);
+        assert.strictEqual(result.server.commands[2], 'c SELECT "INBOX/Sent"');
+    });
+});
+
+test('hides the STATUS responses of hidden mailboxes only', function() {
+    return helper.run(SERVER, CONFIG, [
+        [ LOGIN, 'b LIST "" "Shared/*" RETURN (STATUS (MESSAGES))', 'c STATUS "Sent Messages" (MESSAGES)\r\nd LIST "" "Shared/*"' ]
+    ]).then(function(result) {
+        var responses = result.sessions[0];
+
+        assert.deepStrictEqual(mailboxes(responses[2]), [ 'LIST Shared/People/jane', 'STATUS Shared/People/jane',
+            'LIST Shared/People/jane/Calendar', 'STATUS Shared/People/jane/Calendar' ]);
+        assert.match(responses[3], /^\* STATUS "Sent Messages" \(MESSAGES 1\)\r\nc OK /);
+        assert.strictEqual(mailboxes(responses[3]).filter(function(line) { return line.indexOf('LIST') === 0; }).length, 2);
+    });
+});
@@ -0,0 +1,104 @@
+/**
+ * Tests for the command policy plugin
+ *
+ * @author Thomas Bruederli <thomas@roundcube.net>
+ *
+ * Copyright (C) 2014, Thomas Bruederli, Bern, Switzerland
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, either version 3 of the
+ * License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+"use strict";
+
+var test = require('node:test'),
+    assert = require('assert'),
+    helper = require('./helper.js');
+
+var LOGIN = 'a LOGIN bob@example.org ' + helper.PASSWORD;
+
+/**
+ * Run a session with the given policies and return the results and the commands sent to the server
+ */
+function run(policies, commands)
+{
+    return helper.run({}, { plugins: [ 'policy' ], command_policies: policies }, [ [ LOGIN ].concat(commands) ]).then(function(result) {
+        return {
+            results: helper.results(result.sessions[0]).slice(1),
+            responses: result.sessions[0].slice(2),
+            commands: result.server.commands.slice(1)
+        };
+    });
+}
+
+test('denies commands', function() {
+    return run([ { command: 'DELETE', mailbox: 'INBOX', action: 'deny' }, { command: [ 'GETACL', 'SETACL' ], action: 'deny', message: 'No ACLs here' } ],
+        [ 'b DELETE inbox', 'c DELETE Trash', 'd SETACL Trash alice lr', 'e UID FETCH 1 FLAGS' ]
+    ).then(function(result) {
+        assert.deepStrictEqual(result.results, [ 'b NO [NOPERM]', 'c OK', 'd NO [NOPERM]', 'e OK' ]);
+        assert.strictEqual(result.responses[2], 'd NO [NOPERM] No ACLs here\r\n');
+        assert.deepStrictEqual(result.commands, [ 'c DELETE Trash', 'e UID FETCH 1 FLAGS' ]);
+    });
+});
+
+test('applies the first matching rule', function() {
+    var policies = [
+        { command: 'SETACL', users: [ 'admin@example.org', '@example.org' ], action: 'allow' },
+        { command: 'SETACL', action: 'deny' },
+        { command: 'DELETEACL', users: [ 'admin@example.org' ], action: 'allow' },
+        { command: 'DELETEACL', action: 'deny' }
+    ];
+
+    return run(policies, [ 'b SETACL Trash alice lr', 'c DELETEACL Trash alice' ]).then(function(result) {
+        assert.deepStrictEqual(result.results, [ 'b OK', 'c NO [NOPERM]' ]);
+    });
+});
+
+test('opens read-only mailboxes with EXAMINE', function() {
+    var policies = [ { mailbox: [ 'Archive', 'Archive/*' ], action: 'readonly' } ];
+
+    return run(policies, [ 'b SELECT Archive', 'c STORE 1 +FLAGS (\\Seen)', 'd FETCH 1 FLAGS', 'e APPEND "Archive/2020" {5}\r\nHello',
+        'f COPY 1 Trash', 'g SELECT INBOX', 'h COPY 1 "Archive/2020"', 'i UID MOVE 1 Archive', 'j EXPUNGE' ]
+    ).then(function(result) {
+        assert.deepStrictEqual(result.results, [ 'b OK [READ-ONLY]', 'c NO [NOPERM]', 'd OK', 'e NO [NOPERM]',
+            'f OK', 'g OK [READ-WRITE]', 'h NO [NOPERM]', 'i NO [NOPERM]', 'j OK' ]);
+        assert.deepStrictEqual(result.commands, [ 'b EXAMINE Archive', 'd FETCH 1 FLAGS', 'f COPY 1 Trash', 'g SELECT INBOX', 'j EXPUNGE' ]);
+    });
+});
+
+test('matches the decoded mailbox names', function() {
+    return run([ { mailbox: 'Entwürfe', action: 'deny' } ], [ 'b SELECT "Entw&APw-rfe"', 'c SELECT Entwurf' ]).then(function(result) {
+        assert.deepStrictEqual(result.results, [ 'b NO [NOPERM]', 'c OK [READ-WRITE]' ]);
+    });
+});
+
+test('refuses invalid mailbox names', function() {
+    return run([ { mailbox: 'Archive', action: 'deny' } ], [ 'b SELECT "&AB-"', 'c SELECT "A&-B"' ]).then(function(result) {
+        assert.deepStrictEqual(result.results, [ 'b NO [CANNOT]', 'c OK [READ-WRITE]' ]);
+    });
+});
+
+test('passes invalid mailbox names without mailbox rules', function() {
+    return run([ { command: 'DELETE', action: 'deny' } ], [ 'b SELECT "&AB-"' ]).then(function(result) {
+        assert.deepStrictEqual(result.results, [ 'b OK [READ-WRITE]' ]);
+    });
+});
+
+test('counts the literals of mailbox arguments in bytes', function() {
+    var policies = [ { mailbox: 'Archive', action: 'deny' }, { mailbox: 'Entwürfe', action: 'readonly' } ];
+
+    return run(policies, [ 'b RENAME {16+}\r\n' + '\xc3\xbc'.repeat(8) + ' Archive', 'c SELECT {9+}\r\nEntw\xc3\xbcrfe' ]).then(function(result) {
+        assert.deepStrictEqual(result.results, [ 'b NO [NOPERM]', 'c OK [READ-ONLY]' ]);
+        assert.deepStrictEqual(result.commands, [ 'c EXAMINE {9+}\r\nEntw\xc3\xbcrfe' ]);
+    });
+});
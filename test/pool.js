@@ -0,0 +1,147 @@
+/**
+ * Tests for the backend server pool and the failover of the proxy
+ *
+ * @author Thomas Bruederli <thomas@roundcube.net>
+ *
+ * Copyright (C) 2014, Thomas Bruederli, Bern, Switzerland
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, either version 3 of the
+ * License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+"use strict";
+
+var test = require('node:test'),
+    assert = require('assert'),
+    helper = require('./helper.js'),
+    Pool = require('../lib/pool.js');
+
+var SERVERS = [ 'imap://imap1.example.org', 'imap://imap2.example.org', 'imap://imap3.example.org' ];
+
+function names(list)
+{
+    return list.map(function(member) {
+        return member ? member.name : null;
+    });
+}
+
+/**
+ * Run the health probes of the given pool once and wait for their results
+ */
+function probe(pool)
+{
+    var warn = console.warn;
+
+    console.warn = function() {};
+    pool.start();
+
+    return new Promise(function(resolve) {
+        setTimeout(function() {
+            pool.stop();
+            console.warn = warn;
+            resolve();
+        }, 300);
+    });
+}
+
+test('selects the servers round-robin', function() {
+    var pool = new Pool(SERVERS, {});
+
+    assert.deepStrictEqual(names([ pool.select(), pool.select(), pool.select(), pool.select() ]),
+        [ SERVERS[0], SERVERS[1], SERVERS[2], SERVERS[0] ]);
+});
+
+test('selects the server with the least connections', function() {
+    var pool = new Pool(SERVERS, { backend_balance: 'leastconn' }),
+        first = pool.select();
+
+    assert.deepStrictEqual(names([ first, pool.select(), pool.select() ]), SERVERS);
+
+    pool.release(first);
+    assert.strictEqual(pool.select().name, SERVERS[0]);
+    assert.strictEqual(pool.members[0].connections, 1);
+});
+
+test('skips failed and already tried servers', function() {
+    var pool = new Pool(SERVERS, {}), tried = [], warn = console.warn;
+
+    console.warn = function() {};
+    try {
+        tried.push(pool.select(tried));
+        pool.failed(tried[0]);
+        assert.strictEqual(tried[0].healthy, false);
+        assert.strictEqual(tried[0].connections, 0);
+
+        tried.push(pool.select(tried));
+        tried.push(pool.select(tried));
+        assert.deepStrictEqual(names(tried), SERVERS);
+        assert.strictEqual(pool.select(tried), null);
+
+        // unhealthy servers are still used if no other server is left
+        pool.failed(tried[1]);
+        pool.failed(tried[2]);
+        assert.strictEqual(pool.select().name, SERVERS[0]);
+    }
+    finally {
+        console.warn = warn;
+    }
+});
+
+test('probes the servers for their greeting', function() {
+    var port;
+
+    // a port nobody listens on
+    return helper.freePort().then(function(result) {
+        port = result;
+        return helper.imapServer({});
+    }).then(function(server) {
+        var pool = new Pool([ 'imap://127.0.0.1:' + port, 'imap://127.0.0.1:' + server.address().port ], { backend_check_interval: 0.05 });
+
+        return probe(pool).then(function() {
+            server.close();
+            assert.deepStrictEqual(pool.members.map(function(m) { return m.healthy; }), [ false, true ]);
+            assert.ok(server.commands.length);
+            server.commands.forEach(function(command) {
+                assert.strictEqual(command, 'probe LOGOUT');
+            });
+        });
+    });
+});
+
+test('sends the PROXY protocol header on probes', function() {
+    return helper.imapServer({}).then(function(server) {
+        var pool = new Pool([ 'imap://127.0.0.1:' + server.address().port ], { backend_check_interval: 0.05, forward_client_ip: 'proxy-v1' });
+
+        return probe(pool).then(function() {
+            server.close();
+            assert.strictEqual(pool.members[0].healthy, true);
+            assert.match(server.commands[0], /^PROXY TCP4 127\.0\.0\.1 127\.0\.0\.1 \d+ \d+$/);
+            assert.strictEqual(server.commands[1], 'probe LOGOUT');
+        });
+    });
+});
+
+test('fails over to the next server', function() {
+    return helper.freePort().then(function(port) {
+        return helper.run({}, { imap_server: [ 'imap://127.0.0.1:' + port, 'imap://127.0.0.1:%PORT%' ] }, [
+            [ 'a LOGIN bob ' + helper.PASSWORD, 'b LOGOUT' ],
+            [ 'a LOGIN bob ' + helper.PASSWORD, 'b LOGOUT' ]
+        ]);
+    }).then(function(result) {
+        result.sessions.forEach(function(responses) {
+            assert.match(responses[0], /^\* OK /);
+            assert.match(responses[1], /^a OK /);
+        });
+        assert.match(result.output, /is not available/);
+    });
+});
@@ -0,0 +1,89 @@
+/**
+ * Tests for the PROXY protocol functions
+ *
+ * @author Thomas Bruederli <thomas@roundcube.net>
+ *
+ * Copyright (C) 2014, Thomas Bruederli, Bern, Switzerland
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, either version 3 of the
+ * License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+"use strict";
+
+var test = require('node:test'),
+    assert = require('assert'),
+    proxyproto = require('../lib/proxyproto.js');
+
+var IPV4 = { address: '192.0.2.1', port: 50000, localAddress: '198.51.100.2', localPort: 143 },
+    IPV6 = { address: '2001:db8::1', port: 50000, localAddress: '2001:db8:0:1::ffff', localPort: 993 };
+
+function info(length, data)
+{
+    return { length: length, address: data.address, port: data.port, localAddress: data.localAddress, localPort: data.localPort };
+}
+
+test('builds and parses version 1 headers', function() {
+    var data = proxyproto.header(1, IPV4);
+
+    assert.strictEqual(data.toString(), "PROXY TCP4 192.0.2.1 198.51.100.2 50000 143\r\n");
+    assert.deepStrictEqual(proxyproto.parse(Buffer.concat([ data, Buffer.from("* OK ready\r\n") ])), info(data.length, IPV4));
+
+    data = proxyproto.header(1, IPV6);
+    assert.strictEqual(data.toString(), "PROXY TCP6 2001:db8::1 2001:db8:0:1::ffff 50000 993\r\n");
+    assert.deepStrictEqual(proxyproto.parse(data), info(data.length, IPV6));
+});
+
+test('builds and parses version 2 headers', function() {
+    var data = proxyproto.header(2, IPV4);
+
+    assert.strictEqual(data.length, 28);
+    assert.deepStrictEqual(proxyproto.parse(Buffer.concat([ data, Buffer.from("a NOOP\r\n") ])), info(28, IPV4));
+
+    // IPv6 addresses are returned without abbreviation
+    assert.deepStrictEqual(proxyproto.parse(proxyproto.header(2, IPV6)),
+        info(52, { address: '2001:db8:0:0:0:0:0:1', port: 50000, localAddress: '2001:db8:0:1:0:0:0:ffff', localPort: 993 }));
+});
+
+test('maps IPv4 to IPv6 addresses for mixed families', function() {
+    var data = proxyproto.header(1, { address: '::ffff:192.0.2.1', port: 1, localAddress: '2001:db8::2', localPort: 2 });
+
+    assert.strictEqual(data.toString(), "PROXY TCP6 ::ffff:192.0.2.1 2001:db8::2 1 2\r\n");
+    assert.strictEqual(proxyproto.header(1, { address: '::ffff:192.0.2.1', port: 1, localAddress: '::ffff:192.0.2.2', localPort: 2 }).toString(),
+        "PROXY TCP4 192.0.2.1 192.0.2.2 1 2\r\n");
+});
+
+test('sends unknown addresses as UNKNOWN/LOCAL', function() {
+    assert.strictEqual(proxyproto.header(1, {}).toString(), "PROXY UNKNOWN\r\n");
+    assert.deepStrictEqual(proxyproto.parse(Buffer.from("PROXY UNKNOWN\r\n")), info(15, { address: null, port: null, localAddress: null, localPort: null }));
+    assert.deepStrictEqual(proxyproto.parse(proxyproto.header(2, {})), info(16, { address: null, port: null, localAddress: null, localPort: null }));
+});
+
+test('waits for incomplete headers', function() {
+    assert.strictEqual(proxyproto.parse(Buffer.from("PROXY TCP4 192.0.2.1")), null);
+    assert.strictEqual(proxyproto.parse(proxyproto.header(2, IPV4).slice(0, 20)), null);
+    assert.strictEqual(proxyproto.parse(Buffer.from("PRO")), null);
+});
+
+test('rejects invalid headers', function() {
+    assert.throws(function() { proxyproto.parse(Buffer.from("a LOGIN bob secret\r\n")); });
+    assert.throws(function() { proxyproto.parse(Buffer.from("PROXY TCP4 bogus 192.0.2.2 1 2\r\n")); });
+    assert.throws(function() { proxyproto.parse(Buffer.from("PROXY UDP4 192.0.2.1 192.0.2.2 1 2\r\n")); });
+    assert.throws(function() { proxyproto.parse(Buffer.from("PROXY TCP4 " + new Array(120).join('1'))); });
+});
+
+test('strips the IPv4-mapped prefix', function() {
+    assert.strictEqual(proxyproto.plainAddress('::ffff:192.0.2.1'), '192.0.2.1');
+    assert.strictEqual(proxyproto.plainAddress('2001:db8::1'), '2001:db8::1');
+    assert.strictEqual(proxyproto.plainAddress(null), '');
+});
@@ -0,0 +1,131 @@
+/**
+ * Tests for the session recorder
+ *
+ * @author Thomas Bruederli <thomas@roundcube.net>
+ *
+ * Copyright (C) 2014, Thomas Bruederli, Bern, Switzerland
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, either version 3 of the
+ * License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+"use strict";
+
+var test = require('node:test'),
+    assert = require('assert'),
+    fs = require('fs'),
+    os = require('os'),
+    path = require('path'),
+    Recorder = require('../lib/recorder.js'),
+    helper = require('./helper.js');
+
+/**
+ * Record the given chunks sent by the client and return the recorded data
+ */
+function record(chunks, dir)
+{
+    var file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'imaproxy-test-')), 'session.rec'),
+        recorder = new Recorder({ id: 1 });
+
+    recorder.save(file);
+    chunks.forEach(function(chunk) {
+        recorder.write(dir || 'client>proxy', chunk);
+    });
+    recorder.close();
+
+    return new Promise(function(resolve) {
+        // the file stream is ended asynchronously
+        setTimeout(function() {
+            var lines = fs.readFileSync(file, 'utf8').trim().split("\n").slice(1).map(JSON.parse);
+            fs.rmSync(path.dirname(file), { recursive: true });
+            resolve(lines);
+        }, 50);
+    });
+}
+
+function recorded(lines)
+{
+    return lines.filter(function(item) { return item.dir; }).map(function(item) {
+        return Buffer.from(item.data, 'base64').toString('binary');
+    }).join('');
+}
+
+test('masks the LOGIN password', function() {
+    return record([ 'a LOGIN bob secret\r\n', 'b login "bob" "se\\"cret"\r\nc NOOP\r\n' ]).then(function(lines) {
+        assert.strictEqual(recorded(lines), 'a LOGIN bob xxxxxx\r\nb login "bob" "xxxxxxxx"\r\nc NOOP\r\n');
+    });
+});
+
+test('masks a LOGIN split across reads', function() {
+    var command = 'a LOGIN bob secret\r\n';
+
+    return record(command.split('')).then(function(lines) {
+        assert.strictEqual(recorded(lines), 'a LOGIN bob xxxxxx\r\n');
+    });
+});
+
+test('masks literal LOGIN arguments sent in parts', function() {
+    return record([ 'a LOGIN {3}\r\n', 'bob {6}\r\n', 'sec', 'ret\r\nb NOOP\r\n', 'c LOGIN bob {6+}\r\nsecret\r\n' ]).then(function(lines) {
+        assert.strictEqual(recorded(lines), 'a LOGIN {3}\r\nbob {6}\r\nxxxxxx\r\nb NOOP\r\nc LOGIN bob {6+}\r\nxxxxxx\r\n');
+    });
+});
+
+test('masks the SASL data of AUTHENTICATE', function() {
+    var plain = Buffer.from("\x00bob\x00secret").toString('base64'),
+        masked = Buffer.from("\x00bob\x00xxxxxx").toString('base64');
+
+    return record([ 'a AUTHENTICATE PLAIN ' + plain + '\r\n', 'b AUTHENTICATE PLAIN\r\n', plain.substr(0, 5), plain.substr(5) + '\r\n',
+        'c AUTHENTICATE XOAUTH2 dG9rZW4=\r\n', 'd NOOP\r\n' ]).then(function(lines) {
+        assert.strictEqual(recorded(lines), 'a AUTHENTICATE PLAIN ' + masked + '\r\nb AUTHENTICATE PLAIN\r\n' + masked + '\r\n' +
+            'c AUTHENTICATE XOAUTH2 xxxxxxxx\r\nd NOOP\r\n');
+    });
+});
+
+test('does not mask literal data of other commands', function() {
+    var message = 'a LOGIN bob secret\r\n';
+
+    return record([ 'a APPEND INBOX {' + message.length + '}\r\n', message, '\r\n' ]).then(function(lines) {
+        assert.strictEqual(recorded(lines), 'a APPEND INBOX {' + message.length + '}\r\n' + message + '\r\n');
+    });
+});
+
+test('records incomplete lines when closed', function() {
+    return record([ 'a LOGIN bob sec' ]).then(function(lines) {
+        assert.strictEqual(recorded(lines), 'a LOGIN bob xxx');
+    });
+});
+
+test('does not mask the other directions', function() {
+    return record([ 'a LOGIN bob secret\r\n' ], 'proxy>client').then(function(lines) {
+        assert.strictEqual(recorded(lines), 'a LOGIN bob secret\r\n');
+    });
+});
+
+test('records the responses of event handlers once', function() {
+    var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'imaproxy-test-')),
+        config = { record_dir: dir, plugins: [ 'policy' ], command_policies: [ { command: 'DELETE', action: 'deny' } ] };
+
+    return helper.run({}, config, [
+        [ 'a LOGIN bob ' + helper.PASSWORD, 'b DELETE Trash', 'c LOGOUT' ]
+    ]).then(function() {
+        var files = fs.readdirSync(dir),
+            lines = fs.readFileSync(path.join(dir, files[0]), 'utf8').trim().split("\n").slice(1).map(JSON.parse),
+            responses = recorded(lines.filter(function(item) { return item.dir === 'proxy>client'; }));
+
+        fs.rmSync(dir, { recursive: true });
+
+        assert.strictEqual(files.length, 1);
+        assert.strictEqual(responses.split("b NO [NOPERM]").length, 2);
+        assert.match(responses, /\r\nc OK /);
+    });
+});
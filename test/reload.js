@@ -0,0 +1,67 @@
+/**
+ * Tests for reloading the config
+ *
+ * @author Thomas Bruederli <thomas@roundcube.net>
+ *
+ * Copyright (C) 2014, Thomas Bruederli, Bern, Switzerland
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, either version 3 of the
+ * License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+"use strict";
+
+var test = require('node:test'),
+    assert = require('assert'),
+    helper = require('./helper.js');
+
+function url(server)
+{
+    return 'imap://127.0.0.1:' + server.address().port;
+}
+
+test('applies the reloaded config to new connections in single-process mode', function() {
+    var servers, proxy, client;
+
+    return Promise.all([ helper.imapServer({}), helper.imapServer({}) ]).then(function(result) {
+        servers = result;
+        return helper.startProxy({ imap_server: [ url(servers[0]) ] });
+    }).then(function(result) {
+        proxy = result;
+        return helper.connect(proxy.port);
+    }).then(function(result) {
+        client = result;
+        return client.send('a LOGIN bob ' + helper.PASSWORD);
+    }).then(function() {
+        return proxy.reload({ imap_server: [ url(servers[1]) ] });
+    }).then(function() {
+        return helper.connect(proxy.port);
+    }).then(function(other) {
+        return other.send('a LOGIN alice ' + helper.PASSWORD).then(other.close);
+    }).then(function() {
+        // the open session keeps its server
+        return client.send('b NOOP');
+    }).then(function(response) {
+        client.close();
+
+        assert.match(response, /^b OK/);
+        assert.deepStrictEqual(servers[0].commands, [ 'a LOGIN bob ' + helper.PASSWORD, 'b NOOP' ]);
+        assert.deepStrictEqual(servers[1].commands, [ 'a LOGIN alice ' + helper.PASSWORD ]);
+    }).finally(function() {
+        return (proxy ? proxy.stop() : Promise.resolve()).then(function() {
+            servers.forEach(function(server) {
+                server.close();
+            });
+        });
+    });
+});
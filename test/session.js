@@ -0,0 +1,155 @@
+/**
+ * Tests for the IMAP session state tracking
+ *
+ * @author Thomas Bruederli <thomas@roundcube.net>
+ *
+ * Copyright (C) 2014, Thomas Bruederli, Bern, Switzerland
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, either version 3 of the
+ * License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+"use strict";
+
+var test = require('node:test'),
+    assert = require('assert'),
+    session = require('../lib/session.js');
+
+/**
+ * Send a command and its tagged response through the session state
+ *
+ * @return object The pending request
+ */
+function exchange(state, command, response)
+{
+    var seq = command.split(' ')[0], name = command.split(' ')[1].replace(/\r\n$/, '').toUpperCase();
+
+    session.command(state, { seq: seq, command: name }, Buffer.from(command));
+    return session.response(state, { seq: seq, command: response.split(' ')[1] }, Buffer.from(response));
+}
+
+function untagged(state, response)
+{
+    return session.response(state, { seq: '*', command: response.split(' ')[1].toUpperCase() }, Buffer.from(response));
+}
+
+function sasl(str)
+{
+    return Buffer.from(str).toString('base64');
+}
+
+test('tracks the login', function() {
+    var state = session.init({});
+
+    assert.strictEqual(state.status, session.NOT_AUTHENTICATED);
+
+    exchange(state, 'a LOGIN bob wrong\r\n', 'a NO [AUTHENTICATIONFAILED] Authentication failed\r\n');
+    assert.strictEqual(state.status, session.NOT_AUTHENTICATED);
+    assert.strictEqual(state.user, null);
+
+    assert.strictEqual(exchange(state, 'b LOGIN "b\u00f6b" secret\r\n', 'b OK Logged in\r\n').status, 'OK');
+    assert.strictEqual(state.status, session.AUTHENTICATED);
+    assert.strictEqual(state.user, 'b\u00f6b');
+    assert.deepStrictEqual(state.pending, {});
+});
+
+test('tracks the login with AUTHENTICATE', function() {
+    var state = session.init({});
+
+    session.command(state, { seq: 'a', command: 'AUTHENTICATE' }, Buffer.from('a AUTHENTICATE PLAIN\r\n'));
+    session.continuation(state, 'a', Buffer.from(sasl('\x00bob\x00secret') + '\r\n'));
+    session.response(state, { seq: 'a', command: 'OK' }, Buffer.from('a OK Logged in\r\n'));
+
+    assert.strictEqual(state.status, session.AUTHENTICATED);
+    assert.strictEqual(state.user, 'bob');
+
+    state = session.init({});
+    exchange(state, 'a AUTHENTICATE PLAIN ' + sasl('\x00alice\x00secret') + '\r\n', 'a OK Logged in\r\n');
+    assert.strictEqual(state.user, 'alice');
+});
+
+test('tracks the capabilities', function() {
+    var state = session.init({});
+
+    untagged(state, '* OK [CAPABILITY IMAP4rev1 STARTTLS AUTH=PLAIN] ready\r\n');
+    assert.deepStrictEqual(state.capabilities, { IMAP4REV1: true, STARTTLS: true, 'AUTH=PLAIN': true });
+
+    exchange(state, 'a LOGIN bob secret\r\n', 'a OK [CAPABILITY IMAP4rev1 IDLE] Logged in\r\n');
+    assert.deepStrictEqual(state.capabilities, { IMAP4REV1: true, IDLE: true });
+
+    untagged(state, '* CAPABILITY IMAP4rev1 IDLE condstore\r\n');
+    assert.deepStrictEqual(state.capabilities, { IMAP4REV1: true, IDLE: true, CONDSTORE: true });
+
+    untagged(state, '* ENABLED CONDSTORE\r\n');
+    assert.deepStrictEqual(state.enabled, { CONDSTORE: true });
+});
+
+test('tracks the selected mailbox', function() {
+    var state = session.init({});
+
+    exchange(state, 'a LOGIN bob secret\r\n', 'a OK Logged in\r\n');
+
+    exchange(state, 'b SELECT INBOX\r\n', 'b OK [READ-WRITE] Completed\r\n');
+    assert.strictEqual(state.status, session.SELECTED);
+    assert.strictEqual(state.mailbox, 'INBOX');
+    assert.strictEqual(state.readonly, false);
+
+    exchange(state, 'c EXAMINE "Sent Items"\r\n', 'c OK [READ-ONLY] Completed\r\n');
+    assert.strictEqual(state.mailbox, 'Sent Items');
+    assert.strictEqual(state.readonly, true);
+
+    exchange(state, 'd SELECT Shared\r\n', 'd OK [READ-ONLY] Completed\r\n');
+    assert.strictEqual(state.readonly, true);
+
+    // a failed SELECT closes the selected mailbox
+    exchange(state, 'e SELECT Missing\r\n', 'e NO [NONEXISTENT] Unknown mailbox\r\n');
+    assert.strictEqual(state.status, session.AUTHENTICATED);
+    assert.strictEqual(state.mailbox, null);
+
+    exchange(state, 'f SELECT INBOX\r\n', 'f OK Completed\r\n');
+    exchange(state, 'g CLOSE\r\n', 'g OK Completed\r\n');
+    assert.strictEqual(state.status, session.AUTHENTICATED);
+    assert.strictEqual(state.mailbox, null);
+
+    untagged(state, '* BYE Server shutting down\r\n');
+    assert.strictEqual(state.status, session.LOGOUT);
+});
+
+test('ignores responses without a pending command', function() {
+    var state = session.init({});
+
+    assert.strictEqual(session.response(state, { seq: 'x', command: 'OK' }, Buffer.from('x OK Logged in\r\n')), null);
+    assert.strictEqual(state.status, session.NOT_AUTHENTICATED);
+});
+
+test('tracks the authorization identity of SASL PLAIN', function() {
+    var state = session.init({});
+
+    exchange(state, 'a AUTHENTICATE PLAIN ' + sasl('carol\x00bob\x00secret') + '\r\n', 'a OK Logged in\r\n');
+    assert.strictEqual(state.authzid, 'carol');
+
+    assert.strictEqual(session.saslAuthzid('PLAIN', [ sasl('bob\x00bob\x00secret') ]), null);
+    assert.strictEqual(session.saslAuthzid('PLAIN', [ sasl('\x00bob\x00secret') ]), null);
+    assert.strictEqual(session.saslAuthzid('LOGIN', [ sasl('bob') ]), null);
+});
+
+test('takes the user name from the SASL PLAIN authentication identity', function() {
+    var state = session.init({});
+
+    exchange(state, 'a AUTHENTICATE PLAIN ' + sasl('carol\x00bob\x00secret') + '\r\n', 'a OK Logged in\r\n');
+    assert.strictEqual(state.user, 'bob');
+
+    assert.strictEqual(session.saslUser('PLAIN', [ sasl('carol\x00\x00secret') ]), null);
+    assert.strictEqual(session.saslUser('PLAIN', [ sasl('carol') ]), null);
+    assert.strictEqual(session.saslUser('XOAUTH2', [ sasl('user=bob\x01auth=Bearer token\x01\x01') ]), 'bob');
+});
@@ -0,0 +1,83 @@
+/**
+ * Tests for the payload logging plugin
+ *
+ * @author Thomas Bruederli <thomas@roundcube.net>
+ *
+ * Copyright (C) 2014, Thomas Bruederli, Bern, Switzerland
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as
+ * published by the Free Software Foundation, either version 3 of the
+ * License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+"use strict";
+
+var test = require('node:test'),
+    assert = require('assert'),
+    events = require('events'),
+    session = require('../lib/session.js'),
+    IMAPLog = require('../plugins/zlogger.js');
+
+/**
+ * Log the given client data with the plugin and return the logged lines
+ *
+ * @param array List of [ command, data ] pairs sent by the client
+ * @param object Session state properties
+ */
+function logClient(commands, props)
+{
+    var proxy = { config: { imap_log: true, imap_log_format: 'json' },
+            clientEmitter: new events.EventEmitter(), serverEmitter: new events.EventEmitter() },
+        state = session.init({ ID: 1, remoteAddress: '127.0.0.1', remotePort: 50000 }),
+        lines = [], log = console.log;
+
+    Object.keys(props || {}).forEach(function(key) {
+        state[key] = props[key];
+    });
+
+    new IMAPLog(proxy).init();
+
+    console.log = function(line) {
+        lines.push(JSON.parse(line).data);
+    };
+
+    try {
+        commands.forEach(function(command) {
+            var data = Buffer.from(command[1]);
+            proxy.clientEmitter.emit('__POSTDATA__', { seq: data.toString().split(' ')[0], command: command[0], state: state, write: true, result: null }, data);
+        });
+    }
+    finally {
+        console.log = log;
+    }
+
+    return lines;
+}
+
+test('redacts the LOGIN password', function() {
+    assert.deepStrictEqual(logClient([ [ 'LOGIN', 'a LOGIN "bob" "secret"\r\n' ], [ 'LOGIN', 'b LOGIN {3}\r\nbob {6}\r\nsecret\r\n' ] ]),
+        [ 'a LOGIN "bob" ***\r\n', 'b LOGIN "bob" ***\r\n' ]);
+});
+
+test('redacts the SASL initial response', function() {
+    assert.deepStrictEqual(logClient([ [ 'AUTHENTICATE', 'a AUTHENTICATE PLAIN AGJvYgBzZWNyZXQ=\r\n' ], [ 'AUTHENTICATE', 'b AUTHENTICATE PLAIN\r\n' ] ]),
+        [ 'a AUTHENTICATE PLAIN ***\r\n', 'b AUTHENTICATE PLAIN\r\n' ]);
+});
+
+test('redacts the continuation data while authentication is in progress', function() {
+    assert.deepStrictEqual(logClient([ [ '__DATA__', 'AGJvYgBzZWNyZXQ=\r\n' ] ], { authenticating: 'a' }), [ '***\r\n' ]);
+    assert.deepStrictEqual(logClient([ [ '__DATA__', 'Hello\r\n' ] ]), [ 'Hello\r\n' ]);
+});
+
+test('logs other commands as they are', function() {
+    assert.deepStrictEqual(logClient([ [ 'SELECT', 'a SELECT INBOX\r\n' ] ]), [ 'a SELECT INBOX\r\n' ]);
+});